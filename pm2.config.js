@@ -11,8 +11,10 @@ module.exports = {
     env: {
       NODE_ENV: 'production'
     },
-    // Run every 30 minutes via cron
-    cron_restart: '*/30 * * * *',
+    // Schedule lives in-process (see src/lib/scheduler.js) - no cron_restart,
+    // so runtime history survives between runs. Give an active run time to
+    // finish on stop/restart.
+    kill_timeout: 60000,
     // Log settings
     error_file: 'logs/error.log',
     out_file: 'logs/out.log',
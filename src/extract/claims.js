@@ -0,0 +1,205 @@
+/**
+ * Session claims - a lease so only one Jason instance processes a session
+ *
+ * The lease lives in dev_ai_sessions.extraction_metadata.claim:
+ * { by, claimed_at, until }
+ *
+ * - claimSession takes it atomically (free, expired, or already ours) and only
+ *   while the session still has the expected status
+ * - held leases are renewed every JASON_LEASE / 3 while we work on them, so a
+ *   long session keeps its lease and a crashed instance's lease runs out
+ * - marking the session extracted only succeeds while we still hold the lease
+ *   (ClaimLostError otherwise) and drops the lease from extraction_metadata;
+ *   releaseSession drops it on every other path
+ */
+
+const os = require('os');
+const { AsyncResource } = require('async_hooks');
+const { query } = require('../lib/pg');
+const { Logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { parseDuration } = require('../lib/duration');
+
+const logger = new Logger('Jason:Claims');
+
+const INSTANCE_ID = process.env.JASON_INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+const LEASE_MS = parseDuration(process.env.JASON_LEASE, 10 * 60 * 1000);
+
+// SQL: session is not leased to another instance (table alias s, $n = our instance id)
+const claimFreeSql = (param) => `(s.extraction_metadata->'claim' IS NULL
+  OR (s.extraction_metadata->'claim'->>'until')::timestamptz < now()
+  OR s.extraction_metadata->'claim'->>'by' = ${param})`;
+
+// Sessions this instance holds: sessionId -> { claimed_at, until }
+const held = new Map();
+let renewTimer = null;
+
+// The renew timer is shared by every session, so it's created in the module's
+// async context - not inside the first claimer's withLogBuffer, which would
+// capture its renewal logs forever
+const setRenewInterval = AsyncResource.bind((fn, ms) => setInterval(fn, ms));
+
+class ClaimLostError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} is no longer claimed by this instance`);
+    this.name = 'ClaimLostError';
+    this.sessionId = sessionId;
+  }
+}
+
+/**
+ * Take the lease on a session
+ * @param {string} sessionId
+ * @param {string|null} status - Expected session status (null = any)
+ * @returns {Object} { claimed: true } or { claimed: false, reason, status }
+ *   reason: 'held' (another instance has the lease) | 'status' (session is not in the expected status)
+ */
+async function claimSession(sessionId, status = null) {
+  const now = new Date();
+  const claim = { by: INSTANCE_ID, claimed_at: now.toISOString(), until: new Date(now.getTime() + LEASE_MS).toISOString() };
+
+  try {
+    const { rowCount } = await query(
+      `UPDATE dev_ai_sessions s
+       SET extraction_metadata = COALESCE(s.extraction_metadata, '{}'::jsonb) || jsonb_build_object('claim', $2::jsonb)
+       WHERE s.id::text = $1
+         AND ($3::text IS NULL OR s.status = $3)
+         AND ${claimFreeSql('$4')}`,
+      [sessionId, JSON.stringify(claim), status, INSTANCE_ID]
+    );
+    if (rowCount === 0) return await whyUnclaimed(sessionId, status);
+  } catch (err) {
+    metrics.dbErrors.inc({ operation: 'claim_session' });
+    throw err;
+  }
+
+  held.set(sessionId, { claimed_at: claim.claimed_at, until: claim.until });
+  startRenewing();
+  return { claimed: true };
+}
+
+/**
+ * Why a claim matched no row - the session's status moved on, or another instance holds it
+ */
+async function whyUnclaimed(sessionId, status) {
+  const { rows } = await query(
+    `SELECT s.status, ${claimFreeSql('$2')} AS free
+     FROM dev_ai_sessions s
+     WHERE s.id::text = $1`,
+    [sessionId, INSTANCE_ID]
+  );
+  const current = rows[0] || null;
+  if (!current || (status !== null && current.status !== status)) {
+    return { claimed: false, reason: 'status', status: current ? current.status : null };
+  }
+  return { claimed: false, reason: 'held', status: current.status };
+}
+
+/**
+ * True while this instance holds the session's lease
+ */
+function holdsClaim(sessionId) {
+  return held.has(sessionId);
+}
+
+/**
+ * Drop our lease (no-op if the session was marked extracted meanwhile)
+ */
+async function releaseSession(sessionId) {
+  held.delete(sessionId);
+  if (held.size === 0) stopRenewing();
+
+  try {
+    await query(
+      `UPDATE dev_ai_sessions
+       SET extraction_metadata = extraction_metadata - 'claim'
+       WHERE id::text = $1 AND extraction_metadata->'claim'->>'by' = $2`,
+      [sessionId, INSTANCE_ID]
+    );
+  } catch (err) {
+    // The lease simply expires
+    metrics.dbErrors.inc({ operation: 'release_session' });
+    logger.error('Failed to release session claim', { sessionId, error: err.message });
+  }
+}
+
+/**
+ * Extend every lease we hold
+ */
+async function renewClaims() {
+  if (held.size === 0) return;
+  const until = new Date(Date.now() + LEASE_MS).toISOString();
+
+  try {
+    const { rows } = await query(
+      `UPDATE dev_ai_sessions
+       SET extraction_metadata = jsonb_set(extraction_metadata, '{claim,until}', to_jsonb($3::text))
+       WHERE id::text = ANY($1::text[]) AND extraction_metadata->'claim'->>'by' = $2
+       RETURNING id::text AS id`,
+      [[...held.keys()], INSTANCE_ID, until]
+    );
+    const renewed = new Set(rows.map(r => r.id));
+    for (const [sessionId, claim] of held) {
+      if (renewed.has(sessionId)) {
+        claim.until = until;
+      } else if (new Date(claim.until) < new Date()) {
+        logger.warn('Lost session claim - lease expired', { sessionId });
+      }
+    }
+  } catch (err) {
+    metrics.dbErrors.inc({ operation: 'renew_claims' });
+    logger.error('Failed to renew session claims', { sessions: held.size, error: err.message });
+  }
+}
+
+function startRenewing() {
+  if (renewTimer) return;
+  renewTimer = setRenewInterval(renewClaims, Math.max(1000, Math.floor(LEASE_MS / 3)));
+  renewTimer.unref();
+}
+
+function stopRenewing() {
+  clearInterval(renewTimer);
+  renewTimer = null;
+}
+
+/**
+ * Run fn while holding the session's lease
+ * @returns {Object} { claimed: true, result }, or claimSession's { claimed: false, reason, status }
+ */
+async function withClaim(sessionId, status, fn) {
+  const claim = await claimSession(sessionId, status);
+  if (!claim.claimed) {
+    if (claim.reason === 'status') {
+      logger.info('Session status changed - skipping', { sessionId, expected: status, status: claim.status });
+    } else {
+      logger.info('Session claimed by another instance - skipping', { sessionId });
+    }
+    return claim;
+  }
+  try {
+    return { claimed: true, result: await fn() };
+  } finally {
+    await releaseSession(sessionId);
+  }
+}
+
+function getClaimStatus() {
+  return {
+    instance: INSTANCE_ID,
+    leaseMs: LEASE_MS,
+    held: [...held].map(([sessionId, claim]) => ({ sessionId, ...claim }))
+  };
+}
+
+module.exports = {
+  claimSession,
+  releaseSession,
+  renewClaims,
+  withClaim,
+  holdsClaim,
+  getClaimStatus,
+  claimFreeSql,
+  ClaimLostError,
+  INSTANCE_ID
+};
@@ -0,0 +1,152 @@
+/**
+ * Export staging items from dev_ai_smart_extractions
+ *
+ * Used by `jason export` for sprint-planning notes and weekly reports:
+ * - jsonl  one item per line, full evidence
+ * - csv    one item per row, first evidence excerpt
+ * - md     grouped by project, then bucket
+ *
+ * Superseded rows (see reextract) are left out unless asked for by --status.
+ * Session links use JASON_SESSION_URL ({id} is replaced by the session id).
+ */
+
+const { query } = require('../lib/pg');
+const { Logger } = require('../lib/logger');
+const { parseDuration } = require('../lib/duration');
+const { resolveProjectId } = require('../lib/resolveProject');
+const { SUPERSEDED } = require('./insertStaging');
+
+const logger = new Logger('Jason:Export');
+
+const EXPORT_FORMATS = ['jsonl', 'csv', 'md'];
+const SESSION_URL = process.env.JASON_SESSION_URL || '';
+
+const CSV_COLUMNS = [
+  'id', 'project', 'bucket', 'priority', 'status', 'title', 'content',
+  'session_id', 'session_url', 'evidence_line', 'evidence_excerpt', 'created_at'
+];
+
+function sessionUrl(sessionId) {
+  return SESSION_URL && sessionId ? SESSION_URL.replace('{id}', sessionId) : null;
+}
+
+/**
+ * Load staging rows to export
+ * @param {Object} options
+ * @param {string} options.project - Project slug (optional)
+ * @param {string} options.since - Lookback duration (e.g. 30d)
+ * @param {string[]} options.buckets - Buckets to include (empty = all)
+ * @param {string[]} options.statuses - Row statuses to include (empty = all but superseded)
+ * @param {number} options.limit - Max rows
+ * @returns {Array} Export records
+ */
+async function loadExportItems(options = {}) {
+  const {
+    project = null,
+    since = '30d',
+    buckets = [],
+    statuses = [],
+    limit = 1000
+  } = options;
+
+  let projectId = null;
+  if (project) {
+    projectId = await resolveProjectId(project);
+    if (!projectId) throw new Error(`Unknown project: ${project}`);
+  }
+
+  const cutoff = new Date(Date.now() - parseDuration(since)).toISOString();
+  const { rows } = await query(
+    `SELECT id, bucket, category, title, content, priority, status, session_id,
+            project_id, metadata, created_at
+     FROM dev_ai_smart_extractions
+     WHERE created_at >= $1
+       AND ($2::text IS NULL OR project_id::text = $2)
+       AND (cardinality($3::text[]) = 0 OR bucket = ANY($3::text[]))
+       AND (CASE WHEN cardinality($4::text[]) = 0 THEN status <> $5 ELSE status = ANY($4::text[]) END)
+     ORDER BY metadata->>'project_slug', bucket, created_at
+     LIMIT $6`,
+    [cutoff, projectId, buckets, statuses, SUPERSEDED, limit]
+  );
+
+  logger.info('Loaded items for export', { project, since, buckets, rows: rows.length });
+
+  return rows.map(row => ({
+    id: row.id,
+    project: row.metadata?.project_slug || project || null,
+    bucket: row.bucket,
+    category: row.category,
+    priority: row.priority,
+    status: row.status,
+    title: row.title,
+    content: row.content,
+    session_id: row.session_id,
+    session_url: sessionUrl(row.session_id),
+    evidence: row.metadata?.evidence || [],
+    created_at: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+  }));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(items) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const item of items) {
+    const evidence = item.evidence[0] || {};
+    const record = { ...item, evidence_line: evidence.line, evidence_excerpt: evidence.excerpt };
+    lines.push(CSV_COLUMNS.map(col => csvField(record[col])).join(','));
+  }
+  return lines.join('\n');
+}
+
+function formatMarkdown(items, options = {}) {
+  const out = [`# Jason export - last ${options.since || '30d'}`, '', `${items.length} item(s)`, ''];
+
+  const byProject = new Map();
+  for (const item of items) {
+    const project = item.project || 'unknown';
+    if (!byProject.has(project)) byProject.set(project, new Map());
+    const byBucket = byProject.get(project);
+    if (!byBucket.has(item.bucket)) byBucket.set(item.bucket, []);
+    byBucket.get(item.bucket).push(item);
+  }
+
+  for (const [project, byBucket] of byProject) {
+    out.push(`## ${project}`, '');
+    for (const [bucket, bucketItems] of byBucket) {
+      out.push(`### ${bucket} (${bucketItems.length})`, '');
+      for (const item of bucketItems) {
+        const session = item.session_url
+          ? `[session](${item.session_url})`
+          : `session ${String(item.session_id || '-').substring(0, 8)}`;
+        const priority = item.priority && item.priority !== 'medium' ? ` [${item.priority}]` : '';
+        out.push(`- **${item.title}**${priority} - ${session}, ${String(item.created_at).substring(0, 10)}`);
+        item.evidence.slice(0, 3).forEach(e => {
+          const line = e.line ? `L${e.line}: ` : '';
+          out.push(`  > ${line}${String(e.excerpt || '').replace(/\n/g, ' ')}`);
+        });
+      }
+      out.push('');
+    }
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Render export records
+ * @param {Array} items - From loadExportItems
+ * @param {string} format - jsonl | csv | md
+ * @param {Object} options - { since } for the Markdown heading
+ */
+function formatExport(items, format, options = {}) {
+  if (format === 'jsonl') return items.map(item => JSON.stringify(item)).join('\n');
+  if (format === 'csv') return formatCsv(items);
+  if (format === 'md') return formatMarkdown(items, options);
+  throw new Error(`Unknown format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+}
+
+module.exports = { loadExportItems, formatExport, EXPORT_FORMATS };
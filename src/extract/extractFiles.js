@@ -0,0 +1,293 @@
+/**
+ * Offline extraction from local transcript files - NO DATABASE
+ *
+ * Used by `jason extract --file <path|glob>`:
+ * - Plain text transcripts (USER: / ASSISTANT: / TOOL: lines) are used as-is
+ * - .jsonl session logs are converted to speaker lines first
+ *   ({ type|role, message: { role, content } } entries; tool_result blocks become TOOL:)
+ *
+ * Runs the same formatTranscript -> extractItems -> validateItems pipeline as
+ * `jason extract`, with resolutions linked only within the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../lib/logger');
+const { formatTranscript } = require('./loadTranscript');
+const { extractItems } = require('./extractItems');
+const { validateItems } = require('./validateItems');
+const { linkResolutions } = require('./resolveItems');
+
+const logger = new Logger('Jason:ExtractFiles');
+
+const GLOB_CHARS = /[*?[]/;
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+const OUTPUT_FORMATS = ['json', 'jsonl', 'md'];
+
+const SPEAKER_LABELS = {
+  user: 'USER',
+  human: 'USER',
+  assistant: 'ASSISTANT',
+  tool: 'TOOL',
+  system: 'SYSTEM'
+};
+
+/**
+ * Glob pattern to a RegExp over '/'-separated relative paths
+ * Supports *, ** and ?
+ */
+function globToRegex(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function walk(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (SKIP_DIRS.has(entry.name)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, files);
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Expand file paths and glob patterns into a sorted, de-duplicated file list
+ * @param {string[]} patterns - Paths or globs (shell-expanded paths pass through)
+ * @throws {Error} If a plain path does not exist
+ */
+function expandFiles(patterns) {
+  const files = new Set();
+
+  for (const pattern of patterns) {
+    if (!GLOB_CHARS.test(pattern)) {
+      if (!fs.existsSync(pattern)) throw new Error(`File not found: ${pattern}`);
+      if (fs.statSync(pattern).isDirectory()) walk(pattern).forEach(f => files.add(f));
+      else files.add(pattern);
+      continue;
+    }
+
+    // Walk from the deepest directory without glob characters
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex(s => GLOB_CHARS.test(s));
+    const base = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    if (!fs.existsSync(base)) continue;
+
+    const regex = globToRegex(segments.slice(firstGlob).join('/'));
+    for (const file of walk(base)) {
+      const relative = path.relative(base, file).split(path.sep).join('/');
+      if (regex.test(relative)) files.add(file);
+    }
+  }
+
+  return [...files].sort();
+}
+
+/**
+ * Text of a message content field (string or content-block array)
+ * @returns {Object} { text, toolText }
+ */
+function contentText(content) {
+  if (typeof content === 'string') return { text: content, toolText: '' };
+  if (!Array.isArray(content)) return { text: '', toolText: '' };
+
+  const text = [];
+  const toolText = [];
+  for (const block of content) {
+    if (typeof block === 'string') text.push(block);
+    else if (block?.type === 'text') text.push(block.text || '');
+    else if (block?.type === 'tool_result') toolText.push(contentText(block.content).text);
+  }
+  return { text: text.join('\n'), toolText: toolText.join('\n') };
+}
+
+/**
+ * Convert a JSONL session log into speaker-prefixed transcript text
+ * @returns {Object} { content, meta: { sessionId, cwd, startedAt } }
+ */
+function parseJsonlTranscript(raw) {
+  const lines = [];
+  const meta = { sessionId: null, cwd: null, startedAt: null };
+  let skipped = 0;
+
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      skipped++;
+      continue;
+    }
+
+    meta.sessionId = meta.sessionId || entry.sessionId || entry.session_id || null;
+    meta.cwd = meta.cwd || entry.cwd || null;
+    meta.startedAt = meta.startedAt || entry.timestamp || entry.created_at || null;
+
+    const role = String(entry.message?.role || entry.role || entry.speaker || entry.type || '').toLowerCase();
+    const label = SPEAKER_LABELS[role];
+    if (!label) continue;
+
+    const { text, toolText } = contentText(entry.message?.content ?? entry.content ?? entry.text);
+    // Speaker on its own line so markers opening a message still start a line
+    if (text.trim()) lines.push(`${label}:`, text);
+    if (toolText.trim()) lines.push('TOOL:', toolText);
+  }
+
+  if (skipped > 0) {
+    logger.warn('Skipped unparseable JSONL lines', { skipped });
+  }
+
+  return { content: lines.join('\n'), meta };
+}
+
+/**
+ * Read a transcript file into { transcript, session } for extractItems
+ * @param {string} file - Path to .txt/.md/.log or .jsonl transcript
+ * @param {Object} options - { project } project slug override
+ */
+function loadTranscriptFile(file, options = {}) {
+  const raw = fs.readFileSync(file, 'utf8');
+  const isJsonl = path.extname(file).toLowerCase() === '.jsonl';
+  const parsed = isJsonl ? parseJsonlTranscript(raw) : { content: raw, meta: {} };
+
+  const session = {
+    id: parsed.meta.sessionId || path.basename(file, path.extname(file)),
+    project_slug: options.project || (parsed.meta.cwd ? path.basename(parsed.meta.cwd) : 'local'),
+    created_at: parsed.meta.startedAt || fs.statSync(file).mtime.toISOString()
+  };
+
+  return {
+    session,
+    transcript: {
+      content: formatTranscript(parsed.content),
+      metadata: { source: file, slug: session.project_slug, fileRefs: [] }
+    }
+  };
+}
+
+/**
+ * Extract and validate items from local files
+ * @param {string[]} patterns - Paths or globs
+ * @param {Object} options - { project }
+ * @returns {Array} [{ file, session, items, invalid, error }]
+ */
+async function extractFiles(patterns, options = {}) {
+  const files = expandFiles(patterns);
+  if (files.length === 0) {
+    throw new Error(`No files matched: ${patterns.join(', ')}`);
+  }
+
+  const results = [];
+  for (const file of files) {
+    try {
+      const { session, transcript } = loadTranscriptFile(file, options);
+      if (!transcript.content) {
+        logger.warn('Empty transcript', { file });
+        results.push({ file, session, items: [], invalid: [], error: null });
+        continue;
+      }
+
+      const { valid, invalid } = validateItems(await extractItems(transcript, session));
+      const items = await linkResolutions(valid, session, { offline: true });
+
+      results.push({
+        file,
+        session,
+        items,
+        invalid: invalid.map(i => ({ title: i.item?.title, error: i.error })),
+        error: null
+      });
+    } catch (err) {
+      logger.error('Failed to extract file', { file, error: err.message });
+      results.push({ file, session: null, items: [], invalid: [], error: err.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Completions and the items they close, so neither reads as an open item
+ */
+function resolutionNote(item) {
+  const resolves = item.metadata?.resolution?.resolves;
+  if (resolves) return ` - completes "${resolves.title}"`;
+  if (item.metadata?.resolution) return ' - completion';
+  if (item.metadata?.resolved_by) return ' - resolved';
+  return '';
+}
+
+function formatMarkdown(results) {
+  const out = [];
+  for (const result of results) {
+    out.push(`# ${result.file}`, '');
+    if (result.error) {
+      out.push(`**Error:** ${result.error}`, '');
+      continue;
+    }
+
+    const byBucket = new Map();
+    result.items.forEach(item => {
+      if (!byBucket.has(item.bucket)) byBucket.set(item.bucket, []);
+      byBucket.get(item.bucket).push(item);
+    });
+
+    for (const [bucket, items] of byBucket) {
+      out.push(`## ${bucket} (${items.length})`, '');
+      items.forEach(item => {
+        const line = item.evidence?.[0]?.line ? ` _(L${item.evidence[0].line})_` : '';
+        out.push(`- **${item.title}**${line}${resolutionNote(item)}`);
+        if (item.content && item.content !== item.title && item.bucket !== 'Work Log') {
+          out.push('', ...item.content.split('\n').map(l => `  ${l}`), '');
+        }
+      });
+      out.push('');
+    }
+
+    if (result.invalid.length > 0) {
+      out.push(`_${result.invalid.length} item(s) failed validation_`, '');
+    }
+  }
+  return out.join('\n');
+}
+
+/**
+ * Render extractFiles results
+ * @param {Array} results - From extractFiles
+ * @param {string} format - json | jsonl | md
+ */
+function formatResults(results, format = 'json') {
+  if (format === 'json') return JSON.stringify(results, null, 2);
+  if (format === 'jsonl') {
+    return results
+      .flatMap(r => r.items.map(item => JSON.stringify({ file: r.file, ...item })))
+      .join('\n');
+  }
+  if (format === 'md') return formatMarkdown(results);
+  throw new Error(`Unknown format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+}
+
+module.exports = {
+  extractFiles,
+  expandFiles,
+  loadTranscriptFile,
+  parseJsonlTranscript,
+  formatResults,
+  OUTPUT_FORMATS
+};
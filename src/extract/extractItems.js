@@ -2,55 +2,73 @@
  * Extract items from transcript content
  *
  * STRICT EXTRACTION - only explicit markers
+ * Markers come from the rules file (see rules.js, default config/rules.json):
  * - TODO: / FIXME: / ACTION ITEM:
  * - BUG: / ISSUE: / ERROR:
  * - DECISION:
  * - [ ] checkbox items
+ * - FIXED: / RESOLVED: / DONE: / [x] resolution markers (linked in resolveItems.js)
+ * - LESSON: / TIL: / IDEA: / GOTCHA: / QUIRK: / HOWTO: / REF: knowledge markers
+ * - fenced code blocks -> Snippets (see extractSnippets.js)
  * 
  * NO loose patterns like "should/must/need to"
- * NO PAID API CALLS
+ * NO PAID API CALLS - unless JASON_EXTRACTOR opts in to LLM extraction
+ * (see llmExtract.js), which adds items on top of the rules within a hard budget
+ *
+ * Every item records metadata.provider ('rules' or the LLM provider)
+ *
+ * Rules with a priority (TODO, BUG, ...) infer the item's priority from marker
+ * annotations and keywords (see priority.js); metadata.priority_signal says why.
+ * Open todos and bugs also get @assignees, due dates and #labels parsed out of
+ * their title (see markerFields.js); resolution markers have the same markup removed
  */
 
 const { Logger } = require('../lib/logger');
+const { getRules, findRuleMatches } = require('./rules');
+const { inferPriority } = require('./priority');
+const { parseMarkerFields } = require('./markerFields');
+const { parseTurns, buildEvidence, CONTEXT_LINES } = require('./parseTurns');
+const { summarizeSession, formatSummary } = require('./summarizeSession');
+const { extractSnippets } = require('./extractSnippets');
+const { extractWithLlm } = require('./llmExtract');
+const { fingerprint, fingerprintSimilarity } = require('../lib/textSimilarity');
 
 const logger = new Logger('Jason:ExtractItems');
 
-// STRICT patterns only - explicit markers
-const PATTERNS = {
-  todo: [
-    /^\s*TODO:\s*(.{10,200})$/gmi,
-    /^\s*FIXME:\s*(.{10,200})$/gmi,
-    /^\s*ACTION ITEM:\s*(.{10,200})$/gmi,
-    /^\s*(?:-|\*)\s*\[\s*\]\s+(.{10,200})$/gm,
-  ],
-  bug: [
-    /^\s*BUG:\s*(.{10,200})$/gmi,
-    /^\s*ISSUE:\s*(.{10,200})$/gmi,
-    /^\s*ERROR:\s*(.{10,200})$/gmi,
-  ],
-  decision: [
-    /^\s*DECISION:\s*(.{10,200})$/gmi,
-    /^\s*DECIDED:\s*(.{10,200})$/gmi,
-  ]
-};
+// Buckets fed by knowledge markers (routed to Susan's knowledge tables)
+const KNOWLEDGE_BUCKETS = ['Lessons', 'Ideas', 'Quirks & Gotchas', 'How-To Guide', 'Reference'];
+
+// Skip markers that only appear in assistant-quoted code or tool output
+const IGNORE_QUOTED_MARKERS = process.env.JASON_IGNORE_QUOTED_MARKERS === 'true';
+
+// Buckets whose open items carry assignees, due dates and labels
+const FIELD_BUCKETS = ['Todos', 'Bugs Open'];
+
+// Explicit reference to an earlier item: "FIXED: ref:3f2a9c1e login crash"
+const REF_PATTERN = /\bref:([0-9a-f-]{6,36})\b/i;
+
+// LLM items this close to a rule item are the same item, whatever bucket the model chose
+const LLM_OVERLAP_THRESHOLD = 0.7;
 
 /**
  * Generate a worklog WITHOUT LLM
+ * Structured summary goes into metadata.worklog, readable version into content
+ * @param {Object} transcriptMeta - loadTranscript metadata (fileRefs)
  */
-function generateWorklog(content, session) {
+function generateWorklog(content, session, transcriptMeta = {}) {
   const slug = session.project_slug || 'unknown';
-  
-  const userTurns = (content.match(/^USER:/gm) || []).length;
-  const assistantTurns = (content.match(/^ASSISTANT:/gm) || []).length;
-  
+
   const firstUserMatch = content.match(/^USER:\s*(.{20,200})/m);
   const topic = firstUserMatch ? firstUserMatch[1].split('\n')[0].trim() : 'Development work';
-  
+
+  const summary = summarizeSession(content, { fileRefs: transcriptMeta.fileRefs, session });
+
   return {
     bucket: 'Work Log',
     title: `${slug}: ${topic.substring(0, 80)}`,
-    content: `Development session on ${slug}. ${userTurns + assistantTurns} conversation turns.`,
+    content: formatSummary(slug, summary).substring(0, 10000),
     tags: [slug],
+    metadata: { worklog: summary },
     evidence: [{
       session_id: session.id,
       excerpt: topic,
@@ -59,71 +77,108 @@ function generateWorklog(content, session) {
   };
 }
 
+/**
+ * Marker found in assistant-quoted code or tool output (not said by anyone)
+ */
+function isQuotedLine(info) {
+  return info.speaker === 'tool' || (info.speaker === 'assistant' && info.inCode);
+}
+
 /**
  * Extract with STRICT patterns only
+ * @param {Array} rules - Compiled marker rules (default: active rules file)
+ * @param {Object} options
+ * @param {number} options.contextLines - Surrounding lines kept in evidence
+ * @param {boolean} options.ignoreQuoted - Skip markers in assistant code / tool output
  */
-function extractWithRules(content, session) {
+function extractWithRules(content, session, rules = getRules(), options = {}) {
+  const {
+    contextLines = CONTEXT_LINES,
+    ignoreQuoted = IGNORE_QUOTED_MARKERS
+  } = options;
+
   const items = [];
   const seen = new Set();
+  const rawLines = content.split('\n');
+  const { lines: lineInfo } = parseTurns(content);
 
-  for (const pattern of PATTERNS.todo) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const text = match[1]?.trim();
-      if (text && text.length >= 10 && !seen.has(text.toLowerCase())) {
-        seen.add(text.toLowerCase());
-        items.push({
-          bucket: 'Todos',
-          title: text.substring(0, 150),
-          content: text,
-          priority: 'medium',
-          evidence: [{ session_id: session.id, excerpt: match[0].substring(0, 150), location: 'strict-marker' }]
-        });
-      }
+  for (const match of findRuleMatches(content, rules)) {
+    const { rule, body } = match;
+    const info = lineInfo[match.line - 1];
+    let text = match.text;
+
+    // Checked before dedupe so a later, real mention of the same text still counts
+    if (ignoreQuoted && isQuotedLine(info)) continue;
+
+    let inferred = null;
+    if (rule.priority) {
+      inferred = inferPriority(text, rule.priority, { annotation: match.annotation, rule: rule.name });
+      text = inferred.text;
     }
-  }
 
-  for (const pattern of PATTERNS.bug) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const text = match[1]?.trim();
-      if (text && text.length >= 10 && !seen.has(text.toLowerCase())) {
-        seen.add(text.toLowerCase());
-        items.push({
-          bucket: 'Bugs Open',
-          title: text.substring(0, 150),
-          content: text,
-          priority: 'high',
-          evidence: [{ session_id: session.id, excerpt: match[0].substring(0, 150), location: 'strict-marker' }]
-        });
-      }
+    // Resolution markers only drop the markup, so "DONE: x #backend" still links to "TODO: x #backend"
+    let fields = null;
+    if (FIELD_BUCKETS.includes(rule.bucket) || rule.resolves) {
+      const parsed = parseMarkerFields(text, { annotation: match.annotation, createdAt: session.created_at });
+      text = parsed.text;
+      if (!rule.resolves) fields = parsed;
     }
-  }
 
-  for (const pattern of PATTERNS.decision) {
-    pattern.lastIndex = 0;
-    let match;
-    while ((match = pattern.exec(content)) !== null) {
-      const text = match[1]?.trim();
-      if (text && text.length >= 10 && !seen.has(text.toLowerCase())) {
-        seen.add(text.toLowerCase());
-        items.push({
-          bucket: 'Decisions',
-          title: text.substring(0, 150),
-          content: text,
-          evidence: [{ session_id: session.id, excerpt: match[0].substring(0, 150), location: 'strict-marker' }]
-        });
-      }
+    // Resolution markers get their own dedupe space so "BUG: x" and "FIXED: x" both survive
+    const key = `${rule.resolves ? 'resolve' : 'open'}:${text.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    let metadata = inferred ? { priority_signal: inferred.signal } : undefined;
+    if (fields?.assignees.length) metadata = { ...metadata, assignees: fields.assignees };
+    if (fields?.due) metadata = { ...metadata, due: fields.due };
+    if (fields?.labels.length) metadata = { ...metadata, labels: fields.labels };
+    if (rule.resolves) {
+      const ref = text.match(REF_PATTERN);
+      if (ref) text = text.replace(REF_PATTERN, '').replace(/\s+/g, ' ').trim();
+      metadata = {
+        ...metadata,
+        resolution: {
+          buckets: rule.resolves,
+          ref: ref ? ref[1].toLowerCase() : null,
+          requireMatch: rule.requireMatch
+        }
+      };
     }
+
+    // Title is the marker line; continuation block goes into content.
+    // A bare link (REF: https://...) is titled without its scheme so it isn't rejected as garbage
+    const title = text.replace(/^<?https?:\/\//i, '');
+
+    const item = {
+      bucket: rule.bucket,
+      title: title.substring(0, 150),
+      content: body ? `${text}\n${body}` : text,
+      evidence: [buildEvidence(session, match, info, rawLines, contextLines)]
+    };
+    if (inferred) item.priority = inferred.priority;
+    if (fields?.labels.length) item.tags = fields.labels;
+    if (metadata) item.metadata = metadata;
+
+    items.push(item);
   }
 
   return items;
 }
 
 /**
- * Main extraction - NO LLM
+ * LLM items not already found by the rules
+ */
+function withoutRuleOverlap(llmItems, ruleItems) {
+  const rulePrints = ruleItems.map(i => fingerprint(i.title));
+  return llmItems.filter(item => {
+    const print = fingerprint(item.title);
+    return !rulePrints.some(rulePrint => fingerprintSimilarity(rulePrint, print) >= LLM_OVERLAP_THRESHOLD);
+  });
+}
+
+/**
+ * Main extraction - rules, plus LLM items when enabled
  */
 async function extractItems(transcript, session) {
   if (!transcript || !transcript.content) {
@@ -133,23 +188,40 @@ async function extractItems(transcript, session) {
   const items = [];
 
   // Always generate 1 worklog per session
-  const worklog = generateWorklog(transcript.content, session);
+  const worklog = generateWorklog(transcript.content, session, transcript.metadata);
   items.push(worklog);
 
   // Extract with strict patterns
   const ruleItems = extractWithRules(transcript.content, session);
   items.push(...ruleItems);
 
+  // Fenced code blocks
+  const snippets = extractSnippets(transcript.content, session, transcript.metadata?.fileRefs);
+  items.push(...snippets);
+
+  items.forEach(item => {
+    item.metadata = { ...item.metadata, provider: 'rules' };
+  });
+
+  // Optional LLM pass (null = disabled, over budget or failed - rules only)
+  const llm = await extractWithLlm(transcript.content, session);
+  const llmItems = llm ? withoutRuleOverlap(llm.items, ruleItems) : [];
+  items.push(...llmItems);
+
   logger.info('Extraction complete', {
     sessionId: session.id,
     slug: session.project_slug,
     worklog: 1,
     todos: ruleItems.filter(i => i.bucket === 'Todos').length,
     bugs: ruleItems.filter(i => i.bucket.includes('Bug')).length,
-    decisions: ruleItems.filter(i => i.bucket === 'Decisions').length
+    resolutions: ruleItems.filter(i => i.metadata?.resolution).length,
+    knowledge: ruleItems.filter(i => KNOWLEDGE_BUCKETS.includes(i.bucket)).length,
+    snippets: snippets.length,
+    decisions: ruleItems.filter(i => i.bucket === 'Decisions').length,
+    llm: llm ? llmItems.length : null
   });
 
   return items;
 }
 
-module.exports = { extractItems, extractWithRules, generateWorklog };
+module.exports = { extractItems, extractWithRules, generateWorklog, KNOWLEDGE_BUCKETS };
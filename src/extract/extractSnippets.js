@@ -0,0 +1,257 @@
+/**
+ * Extract fenced code blocks into Snippets items - NO LLM
+ *
+ * Modes (JASON_SNIPPETS_MODE):
+ * - off        no snippets
+ * - marked     only blocks right after a SNIPPET: line
+ * - threshold  marked blocks, plus blocks of at least JASON_SNIPPET_MIN_LINES lines (default)
+ * - all        every fenced block
+ *
+ * Tool output is never a snippet unless marked. Near-identical blocks are
+ * deduplicated. Blocks over the 10000-char content limit are split into
+ * parts (or skipped with JASON_SNIPPET_OVERSIZE=skip).
+ */
+
+const path = require('path');
+const { Logger } = require('../lib/logger');
+const { jaccard } = require('../lib/textSimilarity');
+const { parseTurns, buildEvidence } = require('./parseTurns');
+
+const logger = new Logger('Jason:ExtractSnippets');
+
+const SNIPPETS_MODE = process.env.JASON_SNIPPETS_MODE || 'threshold';
+const MIN_LINES = Number(process.env.JASON_SNIPPET_MIN_LINES) || 5;
+const OVERSIZE = process.env.JASON_SNIPPET_OVERSIZE || 'split';
+const MAX_SNIPPETS = 10;
+const MAX_PARTS = 3;
+const DUPLICATE_THRESHOLD = 0.85;
+
+// baseItemSchema allows 10000 chars of content - leave room for the header and fences
+const MAX_PART_CHARS = 9000;
+
+const FENCE_OPEN = /^[ \t]*(```|~~~)[ \t]*([\w+#.-]*)/;
+const SNIPPET_MARKER = /^[ \t]*SNIPPET:[ \t]*(.*)$/i;
+const SPEAKER_PREFIX = /^(?:USER|HUMAN|ASSISTANT|CLAUDE|TOOL(?:[ _](?:OUTPUT|RESULT))?|OUTPUT|SYSTEM):\s*/;
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', rb: 'ruby', sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  yml: 'yaml', md: 'markdown', psql: 'sql', pgsql: 'sql', postgres: 'sql'
+};
+
+/**
+ * Language from the fence info string, file extension, or content heuristics
+ */
+function detectLanguage(info, code, file) {
+  const hint = (info || '').toLowerCase();
+  if (hint) return LANGUAGE_ALIASES[hint] || hint;
+
+  if (file) {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    if (ext) return LANGUAGE_ALIASES[ext] || ext;
+  }
+
+  const text = code.trim();
+  if (/^#!.*\b(?:ba|z)?sh\b/.test(text) || /^\$\s/m.test(text)) return 'bash';
+  if (/^\s*(?:SELECT|INSERT|UPDATE|DELETE|CREATE|ALTER)\b/im.test(text)) return 'sql';
+  if (/^\s*(?:def |class \w+:|from \w+ import |import \w+$)/m.test(text)) return 'python';
+  if (/\b(?:interface|type) \w+\s*[={]|:\s*(?:string|number|boolean)\b/.test(text)) return 'typescript';
+  if (/\b(?:const|let|function|require\(|module\.exports|=>)/.test(text)) return 'javascript';
+  if (/^[{[]/.test(text)) {
+    try {
+      JSON.parse(text);
+      return 'json';
+    } catch {
+      // not JSON
+    }
+  }
+  if (/^<[a-z!]/i.test(text)) return 'html';
+  return 'text';
+}
+
+/**
+ * Nearest preceding prose line (skipping blanks and code)
+ */
+function precedingProse(rawLines, lineInfo, fenceLine) {
+  for (let i = fenceLine - 1; i >= 0 && i >= fenceLine - 5; i--) {
+    if (lineInfo[i].inCode) return null;
+    const text = rawLines[i].replace(SPEAKER_PREFIX, '').trim();
+    if (text) return { text, line: i };
+  }
+  return null;
+}
+
+/**
+ * file_refs entry mentioned near the block (prose line or first code line)
+ */
+function matchFileRef(fileRefs, ...texts) {
+  const paths = (fileRefs || [])
+    .map(ref => (typeof ref === 'string' ? ref : ref?.path || ref?.file || ref?.file_path))
+    .filter(Boolean);
+
+  for (const text of texts) {
+    if (!text) continue;
+    const found = paths.find(p => text.includes(p)) ||
+      paths.find(p => new RegExp(`(^|[\\s/'"\`(])${escapeRegex(path.basename(p))}\\b`).test(text));
+    if (found) return found;
+  }
+  return null;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find fenced blocks with their position and surrounding info
+ */
+function findFencedBlocks(rawLines) {
+  const blocks = [];
+  let open = null;
+
+  rawLines.forEach((line, i) => {
+    const fence = line.match(FENCE_OPEN);
+    if (!open) {
+      if (fence) open = { fence: fence[1], info: fence[2], start: i, lines: [] };
+    } else if (line.trim().startsWith(open.fence) && line.trim().replace(open.fence, '').trim() === '') {
+      blocks.push({ ...open, end: i });
+      open = null;
+    } else {
+      open.lines.push(line);
+    }
+  });
+
+  return blocks;
+}
+
+/**
+ * Split code into line-aligned parts of at most maxChars
+ */
+function splitCode(code, maxChars) {
+  const parts = [];
+  let current = [];
+  let size = 0;
+
+  for (const line of code.split('\n')) {
+    const piece = line.length > maxChars ? line.substring(0, maxChars) : line;
+    if (size + piece.length + 1 > maxChars && current.length > 0) {
+      parts.push(current.join('\n'));
+      current = [];
+      size = 0;
+    }
+    current.push(piece);
+    size += piece.length + 1;
+  }
+  if (current.length > 0) parts.push(current.join('\n'));
+
+  return parts;
+}
+
+function codeShingles(code) {
+  return new Set(
+    code.split('\n')
+      .map(l => l.trim().replace(/\s+/g, ' '))
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Extract Snippets items from a transcript
+ * @param {string} content - Transcript text
+ * @param {Object} session - Session row
+ * @param {Array} fileRefs - file_refs from dev_ai_clean_transcripts
+ * @param {Object} options - { mode, minLines, oversize }
+ */
+function extractSnippets(content, session, fileRefs = [], options = {}) {
+  const {
+    mode = SNIPPETS_MODE,
+    minLines = MIN_LINES,
+    oversize = OVERSIZE
+  } = options;
+
+  if (mode === 'off') return [];
+
+  const rawLines = content.split('\n');
+  const { lines: lineInfo } = parseTurns(content);
+  const items = [];
+  const kept = [];
+  let skipped = 0;
+
+  for (const block of findFencedBlocks(rawLines)) {
+    if (kept.length >= MAX_SNIPPETS) break;
+
+    const code = block.lines.join('\n').replace(/\s+$/, '');
+    if (!code.trim()) continue;
+
+    const prose = precedingProse(rawLines, lineInfo, block.start);
+    const marker = prose ? prose.text.match(SNIPPET_MARKER) : null;
+    const info = lineInfo[block.start];
+
+    if (!marker) {
+      if (mode === 'marked') continue;
+      if (info.speaker === 'tool') continue;
+      if (mode === 'threshold' && block.lines.length < minLines) continue;
+    }
+
+    // Near-identical to a snippet we already kept
+    const shingles = codeShingles(code);
+    if (kept.some(k => jaccard(k, shingles) >= DUPLICATE_THRESHOLD)) {
+      skipped++;
+      continue;
+    }
+
+    let parts = [code];
+    if (code.length > MAX_PART_CHARS) {
+      parts = oversize === 'skip' ? [] : splitCode(code, MAX_PART_CHARS);
+      if (parts.length > MAX_PARTS) parts = [];
+      if (parts.length === 0) {
+        logger.debug('Skipping oversize snippet', { sessionId: session.id, chars: code.length });
+        skipped++;
+        continue;
+      }
+    }
+    kept.push(shingles);
+
+    const file = matchFileRef(fileRefs, prose?.text, block.lines[0]);
+    const language = detectLanguage(block.info, code, file);
+    const baseTitle = (marker ? marker[1].trim() : prose?.text.replace(/:$/, '').trim()) ||
+      `${language} snippet${file ? ` (${path.basename(file)})` : ''}`;
+
+    const evidence = buildEvidence(session, {
+      excerpt: rawLines[block.start],
+      line: block.start + 1,
+      index: info.offset
+    }, info, rawLines, undefined, 'code-block');
+
+    parts.forEach((part, i) => {
+      const suffix = parts.length > 1 ? ` (part ${i + 1}/${parts.length})` : '';
+      const header = file ? `File: ${file}\n` : '';
+
+      items.push({
+        bucket: 'Snippets',
+        title: `${baseTitle.substring(0, 140)}${suffix}`,
+        content: `${header}\`\`\`${language}\n${part}\n\`\`\``,
+        evidence: [evidence],
+        metadata: {
+          snippet: {
+            language,
+            file,
+            lines: part.split('\n').length,
+            marked: !!marker,
+            part: i + 1,
+            parts: parts.length
+          }
+        }
+      });
+    });
+  }
+
+  if (skipped > 0) {
+    logger.debug('Skipped duplicate/oversize snippets', { sessionId: session.id, skipped });
+  }
+
+  return items;
+}
+
+module.exports = { extractSnippets, detectLanguage, splitCode };
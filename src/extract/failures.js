@@ -0,0 +1,129 @@
+/**
+ * Failure tracking for sessions that throw during extraction
+ *
+ * Each failure is recorded in dev_ai_sessions.extraction_metadata.failure:
+ * { reason, attempts, first_failed_at, last_failed_at, next_retry_at, quarantined, previous_status }
+ *
+ * - Retries back off exponentially: JASON_RETRY_BASE * 2^(attempts - 1), capped at 24h
+ * - After JASON_MAX_ATTEMPTS failures the session is moved to status 'quarantined'
+ *   and never selected again until released with `jason failures retry|clear`
+ * - The record is written in one UPDATE, so concurrent workers never lose a count
+ * - A later successful extraction keeps the record as history (recovered_at),
+ *   with no retry pending and the attempt count reset
+ */
+
+const { query } = require('../lib/pg');
+const { parseDuration } = require('../lib/duration');
+
+const MAX_ATTEMPTS = Number(process.env.JASON_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseDuration(process.env.JASON_RETRY_BASE || '30m');
+const RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+const QUARANTINED = 'quarantined';
+
+// Failures including the one being recorded (table alias s)
+const ATTEMPTS_SQL = `(COALESCE((s.extraction_metadata->'failure'->>'attempts')::int, 0) + 1)`;
+
+/**
+ * Record a failed attempt: bump the counter, schedule the retry with backoff,
+ * quarantine after MAX_ATTEMPTS - all from the row's current value in one UPDATE
+ * @returns {Object|null} { failure, status } as written, null if the session is gone
+ */
+async function recordFailure(sessionId, reason) {
+  const { rows } = await query(
+    `UPDATE dev_ai_sessions s
+     SET status = CASE WHEN ${ATTEMPTS_SQL} >= $3 THEN $4 ELSE s.status END,
+         extraction_metadata = COALESCE(s.extraction_metadata, '{}'::jsonb) || jsonb_build_object(
+           'failed', true,
+           'reason', $2::text,
+           'timestamp', now(),
+           'failure', jsonb_build_object(
+             'reason', $2::text,
+             'attempts', ${ATTEMPTS_SQL},
+             'first_failed_at', COALESCE(s.extraction_metadata->'failure'->'first_failed_at', to_jsonb(now())),
+             'last_failed_at', now(),
+             'next_retry_at', CASE WHEN ${ATTEMPTS_SQL} >= $3 THEN NULL
+               ELSE now() + LEAST($5::float8 * power(2, ${ATTEMPTS_SQL} - 1), $6::float8) * interval '1 millisecond' END,
+             'quarantined', ${ATTEMPTS_SQL} >= $3,
+             'previous_status', COALESCE(s.extraction_metadata->'failure'->>'previous_status', s.status)))
+     WHERE s.id::text = $1
+     RETURNING s.status, s.extraction_metadata->'failure' AS failure`,
+    [String(sessionId), String(reason || 'unknown').substring(0, 500), MAX_ATTEMPTS, QUARANTINED, RETRY_BASE_MS, RETRY_MAX_MS]
+  );
+  return rows[0] || null;
+}
+
+// Session is not waiting out a retry backoff (table alias s)
+const RETRY_DUE_SQL = `(s.extraction_metadata->'failure'->>'next_retry_at' IS NULL
+  OR (s.extraction_metadata->'failure'->>'next_retry_at')::timestamptz <= now())`;
+
+/**
+ * List sessions with a recorded failure
+ * @param {Object} options - { quarantinedOnly, limit }
+ */
+async function listFailures({ quarantinedOnly = false, limit = 50 } = {}) {
+  const { rows } = await query(
+    `SELECT id, project_slug, status, extraction_metadata->'failure' AS failure
+     FROM dev_ai_sessions
+     WHERE extraction_metadata->'failure' IS NOT NULL
+       AND ($1::boolean IS NOT TRUE OR status = $2)
+     ORDER BY extraction_metadata->'failure'->>'last_failed_at' DESC
+     LIMIT $3`,
+    [quarantinedOnly, QUARANTINED, limit]
+  );
+  return rows;
+}
+
+// Quarantined sessions go back to the status they had before quarantine
+const RESTORE_STATUS = `CASE WHEN status = '${QUARANTINED}'
+  THEN COALESCE(extraction_metadata->'failure'->>'previous_status', 'cleaned')
+  ELSE status END`;
+
+/**
+ * Make failed sessions eligible again now with a fresh set of attempts,
+ * keeping the rest of their failure history (first_failed_at, last reason)
+ * @param {Object} options - { ids, all, quarantinedOnly }
+ * @returns {string[]} Released session ids
+ */
+async function retryFailures({ ids = [], all = false, quarantinedOnly = false } = {}) {
+  const { rows } = await query(
+    `UPDATE dev_ai_sessions
+     SET status = ${RESTORE_STATUS},
+         extraction_metadata = jsonb_set(extraction_metadata, '{failure}',
+           extraction_metadata->'failure' || jsonb_build_object(
+             'attempts', 0, 'next_retry_at', NULL, 'quarantined', false, 'retried_at', now()))
+     WHERE extraction_metadata->'failure' IS NOT NULL
+       AND (id::text = ANY($1::text[]) OR $2::boolean)
+       AND ($3::boolean IS NOT TRUE OR status = $4)
+     RETURNING id`,
+    [ids, all, quarantinedOnly, QUARANTINED]
+  );
+  return rows.map(r => r.id);
+}
+
+/**
+ * Remove failure records entirely (attempt counter resets)
+ * @param {Object} options - { ids, all }
+ * @returns {string[]} Cleared session ids
+ */
+async function clearFailures({ ids = [], all = false } = {}) {
+  const { rows } = await query(
+    `UPDATE dev_ai_sessions
+     SET status = ${RESTORE_STATUS},
+         extraction_metadata = extraction_metadata - 'failure' - 'failed' - 'reason'
+     WHERE extraction_metadata->'failure' IS NOT NULL
+       AND (id::text = ANY($1::text[]) OR $2::boolean)
+     RETURNING id`,
+    [ids, all]
+  );
+  return rows.map(r => r.id);
+}
+
+module.exports = {
+  recordFailure,
+  listFailures,
+  retryFailures,
+  clearFailures,
+  MAX_ATTEMPTS,
+  QUARANTINED,
+  RETRY_DUE_SQL
+};
@@ -3,44 +3,298 @@
  * Susan's sorter will pick them up and route to final tables
  * 
  * CRITICAL: Items without project_id are REJECTED (no orphans)
+ *
+ * ATOMIC: duplicate lookups, inserts, merges and the session's move to
+ * 'extracted' run in ONE transaction - a session is either fully extracted
+ * or untouched
+ *
+ * Dedupe:
+ * 1. Exact - md5 of title + content + session (same session re-extracted)
+ * 2. Near  - normalized-text fingerprint compared against recent items for the
+ *            same project and bucket. A near-duplicate is merged into the
+ *            existing row (evidence appended) instead of inserted.
+ *
+ * Re-extract (options.supersede): the session's earlier pending rows that the new
+ * extraction no longer produces are set to status 'superseded' in the same
+ * transaction; unchanged items keep their existing row. Superseded rows are
+ * ignored by both dedupe passes.
+ *
+ * Resolutions (see resolveItems.js): an open row a completion links to is set to
+ * 'resolved' in the same transaction. A completion staged in the bucket it closes
+ * (DONE: / [x] in Todos) gets status 'resolution' so it never reads as another open
+ * item; completions are only deduped by exact hash, never merged into open rows.
  */
 
-const db = require('../lib/db');
+const { withTransaction, getPool } = require('../lib/pg');
 const { Logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
 const { resolveProjectId } = require('../lib/resolveProject');
+const { fingerprint, fingerprintSimilarity, readThreshold } = require('../lib/textSimilarity');
+const { parseDuration } = require('../lib/duration');
+const { markExtractedInTransaction } = require('./markExtracted');
+const { EXTRACTION_VERSION, EXTRACTOR } = require('./version');
 const crypto = require('crypto');
 
 const logger = new Logger('Jason:InsertStaging');
 
+// Fingerprint similarity (0..1) at which an item counts as a near-duplicate
+const DEDUPE_THRESHOLD = readThreshold('JASON_DEDUPE_THRESHOLD', 0.7, logger);
+// How far back to look for near-duplicates
+const DEDUPE_WINDOW = process.env.JASON_DEDUPE_WINDOW || '30d';
+const DEDUPE_CANDIDATE_LIMIT = 500;
+// One per session by design - never merged across sessions
+const NEAR_DUPLICATE_EXEMPT = ['Work Log'];
+// Cap on evidence entries kept on a merged row
+const MAX_MERGED_EVIDENCE = 20;
+// Rows per multi-row INSERT statement
+const INSERT_BATCH_SIZE = 100;
+const SUPERSEDED = 'superseded';
+// Open row closed by a later completion / the completion record itself
+const RESOLVED = 'resolved';
+const RESOLUTION = 'resolution';
+
+const INSERT_COLUMNS = [
+  'bucket', 'category', 'content', 'title', 'priority', 'status',
+  'session_id', 'project_id', 'hash', 'metadata', 'created_at'
+];
+
 function generateHash(item) {
-  const data = [
+  const parts = [
     item.title || '',
     (item.content || '').substring(0, 200),
     item.evidence?.[0]?.session_id || ''
-  ].join('|');
+  ];
+  // "DONE: x" must not collide with the "TODO: x" it closes
+  if (item.metadata?.resolution) parts.push('resolution');
+  const data = parts.join('|');
   return crypto.createHash('md5').update(data).digest('hex');
 }
 
-async function isDuplicate(hash) {
-  try {
-    const { data, error } = await db.from('dev_ai_smart_extractions')
-      .select('id')
-      .eq('hash', hash)
-      .limit(1);
-    return !error && data && data.length > 0;
-  } catch {
-    return false;
+/**
+ * Fingerprint used for near-duplicate matching
+ */
+function itemFingerprint(item) {
+  return fingerprint(`${item.title || ''} ${(item.content || '').substring(0, 500)}`);
+}
+
+/**
+ * Hashes that already exist in staging - one query for the whole session
+ */
+async function findExistingHashes(client, hashes) {
+  if (hashes.length === 0) return new Set();
+  const { rows } = await client.query(
+    'SELECT hash FROM dev_ai_smart_extractions WHERE hash = ANY($1::text[]) AND status <> $2',
+    [hashes, SUPERSEDED]
+  );
+  return new Set(rows.map(r => r.hash));
+}
+
+/**
+ * Recent staging rows for a project, per bucket, to compare fingerprints against
+ * One query for all buckets (newest DEDUPE_CANDIDATE_LIMIT per bucket)
+ */
+async function loadNearDuplicateCandidates(client, projectId, buckets) {
+  const byBucket = new Map(buckets.map(b => [b, []]));
+  if (buckets.length === 0) return byBucket;
+
+  const cutoff = new Date(Date.now() - parseDuration(DEDUPE_WINDOW)).toISOString();
+  const { rows } = await client.query(
+    `SELECT id, bucket, title, content, metadata, session_id FROM (
+       SELECT id, bucket, title, content, metadata, session_id,
+              ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY created_at DESC) AS rn
+       FROM dev_ai_smart_extractions
+       WHERE project_id = $1 AND bucket = ANY($2::text[]) AND created_at >= $3 AND status <> ALL($5::text[])
+     ) recent
+     WHERE rn <= $4`,
+    [projectId, buckets, cutoff, DEDUPE_CANDIDATE_LIMIT, [SUPERSEDED, RESOLVED, RESOLUTION]]
+  );
+
+  for (const row of rows) {
+    byBucket.get(row.bucket).push({
+      ...row,
+      fingerprint: row.metadata?.fingerprint || itemFingerprint(row)
+    });
+  }
+  return byBucket;
+}
+
+/**
+ * Pending staging rows from a previous extraction of this session
+ * @param {Object} client - pg client or pool
+ */
+async function loadPendingRows(client, sessionId) {
+  const { rows } = await client.query(
+    `SELECT id, bucket, title, hash FROM dev_ai_smart_extractions
+     WHERE session_id = $1 AND status = 'pending'`,
+    [sessionId]
+  );
+  return rows;
+}
+
+/**
+ * Compare a session's pending rows with a new extraction by hash
+ * @returns {Object} { added: [{bucket, title}], removed: [row], unchanged }
+ */
+function diffExtraction(previousRows, items) {
+  const newHashes = new Set(items.map(generateHash));
+  const oldHashes = new Set(previousRows.map(r => r.hash));
+
+  return {
+    added: items
+      .filter(item => !oldHashes.has(generateHash(item)))
+      .map(item => ({ bucket: item.bucket, title: itemTitle(item) })),
+    removed: previousRows.filter(r => !newHashes.has(r.hash)),
+    unchanged: previousRows.filter(r => newHashes.has(r.hash)).length
+  };
+}
+
+/**
+ * Diff a new extraction against staging without writing anything (reextract --dry-run)
+ */
+async function previewSupersede(items, sessionId) {
+  const diff = diffExtraction(await loadPendingRows(getPool(), sessionId), items);
+  return { ...diff, removed: diff.removed.map(r => ({ bucket: r.bucket, title: r.title })) };
+}
+
+/**
+ * Set rows to 'superseded', recording which extractor replaced them
+ */
+async function supersedeRows(client, ids) {
+  if (ids.length === 0) return;
+  await client.query(
+    `UPDATE dev_ai_smart_extractions
+     SET status = $2,
+         metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
+           'superseded_at', $3::text, 'superseded_by', $4::text)
+     WHERE id::text = ANY($1::text[])`,
+    [ids.map(String), SUPERSEDED, new Date().toISOString(), `${EXTRACTOR}@${EXTRACTION_VERSION}`]
+  );
+}
+
+/**
+ * Staging status for a new row
+ */
+function rowStatus(item) {
+  const resolution = item.metadata?.resolution;
+  if (resolution && resolution.buckets.includes(item.bucket)) return RESOLUTION;
+  if (item.metadata?.resolved_by) return RESOLVED;
+  return 'pending';
+}
+
+/**
+ * Set open rows closed by this session's completions to 'resolved'
+ * @param {Map} resolved - row id -> completion title
+ * @returns {number} Rows updated
+ */
+async function resolveRows(client, resolved, sessionId) {
+  if (resolved.size === 0) return 0;
+  const { rowCount } = await client.query(
+    `UPDATE dev_ai_smart_extractions AS t
+     SET status = $3,
+         metadata = COALESCE(t.metadata, '{}'::jsonb) || jsonb_build_object('resolved_by',
+           jsonb_build_object('session_id', $4::text, 'title', v.title, 'resolved_at', $5::text))
+     FROM (SELECT unnest($1::text[]) AS id, unnest($2::text[]) AS title) AS v
+     WHERE t.id::text = v.id AND t.status <> ALL($6::text[])`,
+    [
+      [...resolved.keys()].map(String),
+      [...resolved.values()],
+      RESOLVED,
+      sessionId,
+      new Date().toISOString(),
+      [SUPERSEDED, RESOLVED, RESOLUTION]
+    ]
+  );
+  return rowCount;
+}
+
+/**
+ * Best near-duplicate for a fingerprint, or null
+ */
+function findNearDuplicate(candidates, itemPrint) {
+  let best = null;
+  for (const candidate of candidates) {
+    const similarity = fingerprintSimilarity(itemPrint, candidate.fingerprint);
+    if (similarity >= DEDUPE_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { candidate, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Merged metadata for a near-duplicate: append evidence, track sessions
+ */
+function mergeMetadata(row, item, sessionId, similarity) {
+  const metadata = row.metadata || {};
+  const evidence = [...(metadata.evidence || []), ...(item.evidence || [])].slice(-MAX_MERGED_EVIDENCE);
+  const sessions = new Set(metadata.merged_sessions || [row.session_id].filter(Boolean));
+  sessions.add(sessionId);
+
+  return {
+    ...metadata,
+    evidence,
+    merged_sessions: [...sessions],
+    duplicate_count: (metadata.duplicate_count || 0) + 1,
+    last_seen_at: new Date().toISOString(),
+    last_similarity: Number(similarity.toFixed(3))
+  };
+}
+
+/**
+ * Multi-row INSERT in batches of INSERT_BATCH_SIZE
+ */
+async function insertRows(client, rows) {
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+    const params = [];
+    const values = batch.map(row => {
+      const placeholders = INSERT_COLUMNS.map(col => {
+        params.push(col === 'metadata' ? JSON.stringify(row[col]) : row[col]);
+        return col === 'metadata' ? `$${params.length}::jsonb` : `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO dev_ai_smart_extractions (${INSERT_COLUMNS.join(', ')}) VALUES ${values.join(', ')}`,
+      params
+    );
   }
 }
 
+/**
+ * Write merged metadata back - one UPDATE for all merged rows
+ */
+async function updateMergedRows(client, updates) {
+  if (updates.size === 0) return;
+  const ids = [...updates.keys()].map(String);
+  const metadata = [...updates.values()].map(m => JSON.stringify(m));
+
+  await client.query(
+    `UPDATE dev_ai_smart_extractions AS t
+     SET metadata = v.metadata
+     FROM (SELECT unnest($1::text[]) AS id, unnest($2::jsonb[]) AS metadata) AS v
+     WHERE t.id::text = v.id`,
+    [ids, metadata]
+  );
+}
+
 /**
  * Insert items into staging table
  * REJECTS items if project_id cannot be resolved
+ * @param {Array} items - Validated items
+ * @param {string} sessionId - Session UUID
+ * @param {string} projectSlug - Session project_slug
+ * @param {Object} options
+ * @param {Object} options.markExtracted - If set, mark the session extracted in the
+ *   same transaction with this extraction metadata (item counts are added)
+ * @param {boolean} options.supersede - Re-extract: supersede the session's pending rows
+ *   the new items no longer contain; the result then includes `diff`
+ * @throws {Error} On any DB failure - nothing from this session is written
  */
-async function insertStaging(items, sessionId, projectSlug = null) {
-  let inserted = 0;
-  let duplicates = 0;
-  let rejected = 0;
+async function insertStaging(items, sessionId, projectSlug = null, options = {}) {
+  const extractionMeta = options.markExtracted || null;
+  const supersede = !!options.supersede;
 
   // Resolve project_slug to UUID - REQUIRED
   const projectId = projectSlug ? await resolveProjectId(projectSlug) : null;
@@ -52,60 +306,142 @@ async function insertStaging(items, sessionId, projectSlug = null) {
       sessionId,
       itemCount: items.length 
     });
-    return { inserted: 0, duplicates: 0, rejected: items.length, error: 'project_id unresolved' };
+    if (extractionMeta) {
+      await withTransaction(client => markExtractedInTransaction(client, sessionId, {
+        ...extractionMeta,
+        items_created: 0,
+        duplicates_skipped: 0,
+        duplicates_merged: 0,
+        rejected: items.length
+      }));
+    }
+    return { inserted: 0, duplicates: 0, merged: 0, rejected: items.length, error: 'project_id unresolved' };
   }
 
   logger.info('Resolved project', { slug: projectSlug, projectId: projectId.substring(0, 8) });
 
-  for (const item of items) {
-    try {
-      const hash = generateHash(item);
+  const result = await withTransaction(async (client) => {
+    const prepared = items.map(item => ({ item, hash: generateHash(item), print: itemFingerprint(item) }));
+
+    // Re-extract: retire what the new extraction dropped before deduping against staging
+    let diff = null;
+    if (supersede) {
+      diff = diffExtraction(await loadPendingRows(client, sessionId), items);
+      await supersedeRows(client, diff.removed.map(r => r.id));
+    }
+
+    const existingHashes = await findExistingHashes(client, prepared.map(p => p.hash));
+    const fresh = prepared.filter(p => !existingHashes.has(p.hash));
+    let duplicates = prepared.length - fresh.length;
+
+    const buckets = [...new Set(fresh.map(p => p.item.bucket))]
+      .filter(b => !NEAR_DUPLICATE_EXEMPT.includes(b));
+    const candidatesByBucket = await loadNearDuplicateCandidates(client, projectId, buckets);
+
+    const rows = [];
+    const mergedUpdates = new Map();
+    const resolvedRows = new Map();
+    const seenHashes = new Set();
+    let merged = 0;
 
-      if (await isDuplicate(hash)) {
+    for (const { item, hash, print } of fresh) {
+      // Same hash twice in one batch
+      if (seenHashes.has(hash)) {
         duplicates++;
         continue;
       }
+      seenHashes.add(hash);
+
+      const resolves = item.metadata?.resolution?.resolves;
+      if (resolves?.id) resolvedRows.set(resolves.id, itemTitle(item));
+
+      const candidates = item.metadata?.resolution ? null : candidatesByBucket.get(item.bucket);
+      const near = candidates ? findNearDuplicate(candidates, print) : null;
+
+      if (near) {
+        // Rows added earlier in this batch have no id yet - just skip those
+        if (near.candidate.id) {
+          near.candidate.metadata = mergeMetadata(near.candidate, item, sessionId, near.similarity);
+          mergedUpdates.set(near.candidate.id, near.candidate.metadata);
+          // Completed in this session - close the row it merged into
+          if (item.metadata?.resolved_by) resolvedRows.set(near.candidate.id, item.metadata.resolved_by.title);
+          merged++;
+        } else {
+          duplicates++;
+        }
+        continue;
+      }
 
-      const row = {
+      rows.push({
         bucket: item.bucket,
         category: mapBucketToCategory(item.bucket),
         content: item.content,
-        title: item.title || item.content.substring(0, 200).split('\n')[0],
+        title: itemTitle(item),
         priority: item.priority || 'medium',
-        status: 'pending',
+        status: rowStatus(item),
         session_id: sessionId,
         project_id: projectId,
         hash: hash,
         metadata: {
+          ...item.metadata,
           evidence: item.evidence,
-          extractor: 'jason-v1',
+          fingerprint: print,
+          extractor: EXTRACTOR,
+          extraction_version: EXTRACTION_VERSION,
           project_slug: projectSlug,
           extracted_at: new Date().toISOString()
         },
         created_at: new Date().toISOString()
-      };
+      });
+      candidates?.push({ id: null, fingerprint: print });
+    }
 
-      const { error } = await db.from('dev_ai_smart_extractions').insert(row);
-      if (error) {
-        logger.error('Insert failed', { error: error.message, bucket: item.bucket });
-        rejected++;
-      } else {
-        inserted++;
-      }
-    } catch (err) {
-      logger.error('Error inserting item', { error: err.message });
-      rejected++;
+    await insertRows(client, rows);
+    await updateMergedRows(client, mergedUpdates);
+    const resolved = await resolveRows(client, resolvedRows, sessionId);
+
+    if (extractionMeta) {
+      await markExtractedInTransaction(client, sessionId, {
+        ...extractionMeta,
+        items_created: rows.length,
+        duplicates_skipped: duplicates,
+        duplicates_merged: merged,
+        items_resolved: resolved,
+        ...(diff ? { items_superseded: diff.removed.length } : {})
+      });
     }
-  }
+
+    const result = { inserted: rows.length, duplicates, merged, resolved, rejected: 0 };
+    if (diff) {
+      result.superseded = diff.removed.length;
+      result.diff = {
+        added: rows.map(row => ({ bucket: row.bucket, title: row.title })),
+        removed: diff.removed.map(r => ({ bucket: r.bucket, title: r.title })),
+        unchanged: diff.unchanged
+      };
+    }
+    return result;
+  }).catch((err) => {
+    // Whole transaction rolled back - count it and let the caller record the failure
+    metrics.dbErrors.inc({ operation: 'insert_staging' });
+    throw err;
+  });
 
   logger.info('Staging insert complete', { 
-    inserted, 
-    duplicates, 
-    rejected,
+    inserted: result.inserted,
+    duplicates: result.duplicates,
+    merged: result.merged,
+    resolved: result.resolved,
+    superseded: result.superseded,
+    markedExtracted: !!extractionMeta,
     projectId: projectId.substring(0, 8)
   });
   
-  return { inserted, duplicates, rejected };
+  return result;
+}
+
+function itemTitle(item) {
+  return item.title || item.content.substring(0, 200).split('\n')[0];
 }
 
 function mapBucketToCategory(bucket) {
@@ -122,4 +458,14 @@ function mapBucketToCategory(bucket) {
   return map[bucket] || 'general';
 }
 
-module.exports = { insertStaging, generateHash, isDuplicate };
+module.exports = {
+  insertStaging,
+  previewSupersede,
+  generateHash,
+  itemFingerprint,
+  findNearDuplicate,
+  mapBucketToCategory,
+  SUPERSEDED,
+  RESOLVED,
+  RESOLUTION
+};
@@ -0,0 +1,208 @@
+/**
+ * Live extraction from the terminal stream - strict rules only, NO LLM
+ *
+ * Buffers output per session and re-runs the marker rules once a session has
+ * been quiet for JASON_LISTEN_FLUSH_MS, so a marker's continuation block is
+ * complete before the item is emitted. Each item is emitted once per session.
+ *
+ * Messages (JSON, from TerminalClient):
+ *   { type: 'session_start', session_id, project_slug }
+ *   { type: 'output', session_id, data, speaker?, project_slug? }   (text also accepted for data)
+ *   { type: 'session_end', session_id }
+ *
+ * Items carry the real session id, so the later batch extraction of the same
+ * session dedupes against them in insertStaging (exact hash, else near-duplicate merge).
+ */
+
+const { Logger } = require('../lib/logger');
+const { formatTranscript } = require('./loadTranscript');
+const { extractWithRules } = require('./extractItems');
+
+const logger = new Logger('Jason:Live');
+
+const FLUSH_MS = Number(process.env.JASON_LISTEN_FLUSH_MS) || 2000;
+// Sessions with no output for this long are dropped from memory
+const IDLE_MS = 30 * 60 * 1000;
+// Per-session buffer cap - older output is dropped (already-emitted items stay emitted)
+const MAX_BUFFER_CHARS = 500 * 1000;
+
+const SPEAKER_PREFIXES = {
+  user: 'USER:',
+  assistant: 'ASSISTANT:',
+  tool: 'TOOL:',
+  system: 'SYSTEM:'
+};
+
+class LiveSessions {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onItems - async (session, items) => void; throw to retry on next flush
+   * @param {number} options.flushMs - Quiet period before rules run
+   * @param {number} options.idleMs - Drop sessions idle this long
+   */
+  constructor({ onItems, flushMs = FLUSH_MS, idleMs = IDLE_MS }) {
+    if (typeof onItems !== 'function') {
+      throw new Error('LiveSessions requires an onItems function');
+    }
+    this.onItems = onItems;
+    this.flushMs = flushMs;
+    this.idleMs = idleMs;
+    this.sessions = new Map();
+    this.sweeper = setInterval(() => this._sweep(), Math.min(idleMs, 60 * 1000));
+    this.sweeper.unref();
+  }
+
+  /**
+   * Handle one message from the terminal stream
+   */
+  handleMessage(message) {
+    const sessionId = message?.session_id || message?.sessionId;
+    if (!sessionId) return;
+
+    if (message.type === 'session_start') {
+      this._get(sessionId, message);
+      return;
+    }
+
+    if (message.type === 'output') {
+      const text = message.data ?? message.text;
+      if (typeof text !== 'string' || !text) return;
+      this._append(this._get(sessionId, message), text, message.speaker);
+      return;
+    }
+
+    if (message.type === 'session_end') {
+      const live = this.sessions.get(sessionId);
+      if (!live) return;
+      live.ended = true;
+      this._flush(live);
+    }
+  }
+
+  /**
+   * Flush every session now and stop timers (used on shutdown)
+   */
+  async close() {
+    clearInterval(this.sweeper);
+    const pending = [];
+    for (const live of this.sessions.values()) {
+      clearTimeout(live.timer);
+      pending.push(this._flush(live));
+    }
+    await Promise.all(pending);
+    this.sessions.clear();
+  }
+
+  getStatus() {
+    return {
+      sessions: this.sessions.size,
+      itemsEmitted: [...this.sessions.values()].reduce((sum, live) => sum + live.emitted.size, 0)
+    };
+  }
+
+  _get(sessionId, message) {
+    let live = this.sessions.get(sessionId);
+    if (!live) {
+      live = {
+        session: {
+          id: sessionId,
+          project_slug: message.project_slug || message.projectSlug || null,
+          created_at: new Date().toISOString()
+        },
+        raw: '',
+        speaker: null,
+        emitted: new Set(),
+        timer: null,
+        flushing: null,
+        dirty: false,
+        ended: false,
+        lastActivity: Date.now()
+      };
+      this.sessions.set(sessionId, live);
+      logger.info('Live session started', { sessionId, slug: live.session.project_slug });
+    } else if (!live.session.project_slug && (message.project_slug || message.projectSlug)) {
+      live.session.project_slug = message.project_slug || message.projectSlug;
+    }
+    return live;
+  }
+
+  _append(live, text, speaker) {
+    // Speaker changes become transcript prefixes so quoted-marker rules still apply
+    const prefix = SPEAKER_PREFIXES[speaker];
+    if (prefix && speaker !== live.speaker) {
+      live.raw += `${live.raw && !live.raw.endsWith('\n') ? '\n' : ''}${prefix}\n`;
+      live.speaker = speaker;
+    }
+    live.raw += text;
+
+    if (live.raw.length > MAX_BUFFER_CHARS) {
+      const cut = live.raw.indexOf('\n', live.raw.length - MAX_BUFFER_CHARS / 2);
+      live.raw = live.raw.substring(cut + 1);
+    }
+
+    live.dirty = true;
+    live.lastActivity = Date.now();
+    clearTimeout(live.timer);
+    live.timer = setTimeout(() => this._flush(live), this.flushMs);
+  }
+
+  async _flush(live) {
+    // One flush at a time per session - a flush requested meanwhile runs right after
+    if (live.flushing) {
+      await live.flushing;
+      if (!live.dirty && !live.ended) return;
+    }
+
+    live.flushing = this._runRules(live).finally(() => {
+      live.flushing = null;
+      if (live.ended && !live.dirty) {
+        this.sessions.delete(live.session.id);
+        logger.info('Live session ended', { sessionId: live.session.id, items: live.emitted.size });
+      }
+    });
+    return live.flushing;
+  }
+
+  async _runRules(live) {
+    clearTimeout(live.timer);
+    live.timer = null;
+    if (!live.dirty) return;
+    live.dirty = false;
+
+    const content = formatTranscript(live.raw);
+    const fresh = extractWithRules(content, live.session)
+      .filter(item => !live.emitted.has(itemKey(item)));
+    if (fresh.length === 0) return;
+
+    fresh.forEach(item => {
+      item.evidence.forEach(e => { e.location = 'live-stream'; });
+      item.metadata = { ...item.metadata, provider: 'rules', live: true };
+    });
+
+    try {
+      await this.onItems(live.session, fresh);
+      fresh.forEach(item => live.emitted.add(itemKey(item)));
+    } catch (err) {
+      // Not marked emitted - the next flush tries again
+      live.dirty = true;
+      live.timer = setTimeout(() => this._flush(live), this.flushMs);
+      logger.error('Failed to handle live items', { sessionId: live.session.id, error: err.message });
+    }
+  }
+
+  _sweep() {
+    const now = Date.now();
+    for (const [sessionId, live] of this.sessions) {
+      if (!live.flushing && !live.dirty && now - live.lastActivity > this.idleMs) {
+        this.sessions.delete(sessionId);
+        logger.info('Dropped idle live session', { sessionId, items: live.emitted.size });
+      }
+    }
+  }
+}
+
+function itemKey(item) {
+  return `${item.bucket}:${(item.title || '').toLowerCase()}`;
+}
+
+module.exports = { LiveSessions };
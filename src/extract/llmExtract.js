@@ -0,0 +1,211 @@
+/**
+ * Optional LLM extraction - OFF by default (JASON_EXTRACTOR=rules)
+ *
+ * JASON_EXTRACTOR=claude|stub adds LLM-found items on top of the strict rules:
+ * - long transcripts are split into JASON_LLM_CHUNK_CHARS chunks (max MAX_CHUNKS)
+ * - every request reserves its estimated size against the per-run / per-day budget
+ *   first and settles the actual usage after (llmBudget.js)
+ * - replies must be JSON; items whose excerpt can't be found in the transcript are dropped
+ * - over budget, API error or unparseable reply -> rules only for that session
+ *
+ * Items still go through validateItems before staging, and record
+ * metadata.provider (e.g. 'claude:claude-haiku-4-5', 'stub', 'rules').
+ */
+
+const { Logger } = require('../lib/logger');
+const { LlmBudget } = require('../lib/llmBudget');
+const { createLlmClient } = require('../lib/llmClients');
+const { metrics } = require('../lib/metrics');
+const { parseTurns, buildEvidence } = require('./parseTurns');
+const { splitCode } = require('./extractSnippets');
+const { VALID_BUCKETS } = require('./validateItems');
+
+const logger = new Logger('Jason:LLMExtract');
+
+const EXTRACTOR = process.env.JASON_EXTRACTOR || 'rules';
+const CHUNK_CHARS = Number(process.env.JASON_LLM_CHUNK_CHARS) || 24000;
+const MAX_OUTPUT_TOKENS = Number(process.env.JASON_LLM_MAX_OUTPUT_TOKENS) || 2048;
+const MAX_CHUNKS = 10;
+const MAX_ITEMS_PER_CHUNK = 20;
+
+// Generated deterministically elsewhere - never from the LLM
+const LLM_BUCKETS = VALID_BUCKETS.filter(b => b !== 'Work Log' && b !== 'Snippets');
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const SYSTEM_PROMPT = [
+  'You extract actionable items from a developer session transcript.',
+  'Only report items the transcript states clearly: todos, bugs, decisions, lessons, gotchas and similar.',
+  `Each item needs a bucket from: ${LLM_BUCKETS.join(', ')}.`,
+  'Reply with JSON only, no prose: {"items":[{"bucket":"...","title":"short summary","content":"details",',
+  '"priority":"low|medium|high|critical","excerpt":"exact line copied from the transcript"}]}.',
+  'The excerpt must be copied verbatim from one transcript line. Reply {"items":[]} if there is nothing.'
+].join(' ');
+
+let client;
+const budget = new LlmBudget();
+
+/**
+ * Active LLM client (null when JASON_EXTRACTOR=rules)
+ */
+function getLlmClient() {
+  if (client === undefined) {
+    client = createLlmClient(EXTRACTOR);
+    if (client) logger.info('LLM extraction enabled', { provider: client.name, limits: budget.limits });
+  }
+  return client;
+}
+
+/**
+ * Swap the client (e.g. a stub in tests); null disables LLM extraction
+ */
+function setLlmClient(next) {
+  client = next;
+}
+
+/**
+ * Reset the per-run budget - call at the start of every extraction run
+ * @throws {Error} Misconfigured extractor (unknown name, missing API key)
+ */
+function beginLlmRun() {
+  getLlmClient();
+  budget.beginRun();
+}
+
+function getLlmStatus() {
+  try {
+    const active = getLlmClient();
+    return active ? { provider: active.name, budget: budget.getStatus() } : null;
+  } catch (err) {
+    return { provider: EXTRACTOR, error: err.message };
+  }
+}
+
+/**
+ * JSON object out of a model reply (tolerates code fences / stray prose)
+ */
+function parseReply(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('LLM reply contains no JSON object');
+
+  const parsed = JSON.parse(text.substring(start, end + 1));
+  if (!Array.isArray(parsed.items)) throw new Error('LLM reply has no items array');
+  return parsed.items;
+}
+
+/**
+ * Line (0-based) holding the excerpt, searching from the chunk start
+ */
+function findExcerptLine(rawLines, excerpt, fromLine, toLine) {
+  const needle = String(excerpt || '').trim().substring(0, 80);
+  if (needle.length < 8) return -1;
+  for (let i = fromLine; i < toLine; i++) {
+    if (rawLines[i].includes(needle)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Model output -> pipeline items, dropping anything without a verifiable excerpt
+ */
+function toItems(raw, session, providerName, context) {
+  const { rawLines, lineInfo, fromLine, toLine } = context;
+  const items = [];
+  let dropped = 0;
+
+  for (const entry of raw.slice(0, MAX_ITEMS_PER_CHUNK)) {
+    const bucket = LLM_BUCKETS.includes(entry?.bucket) ? entry.bucket : null;
+    const title = typeof entry?.title === 'string' ? entry.title.trim() : '';
+    const line = findExcerptLine(rawLines, entry?.excerpt, fromLine, toLine);
+    if (!bucket || !title || line === -1) {
+      dropped++;
+      continue;
+    }
+
+    const info = lineInfo[line];
+    const item = {
+      bucket,
+      title: title.substring(0, 150),
+      content: typeof entry.content === 'string' && entry.content.trim() ? entry.content.trim() : title,
+      evidence: [buildEvidence(session, { excerpt: rawLines[line], line: line + 1, index: info.offset }, info, rawLines, undefined, 'llm')],
+      metadata: { provider: providerName }
+    };
+    if (PRIORITIES.includes(entry.priority)) item.priority = entry.priority;
+    items.push(item);
+  }
+
+  if (dropped > 0) {
+    logger.debug('Dropped LLM items without bucket/title/verifiable excerpt', { sessionId: session.id, dropped });
+  }
+  return items;
+}
+
+/**
+ * Extract items with the configured LLM
+ * @returns {Object|null} { items, provider }, or null to fall back to rules only
+ */
+async function extractWithLlm(content, session) {
+  const llm = getLlmClient();
+  if (!llm) return null;
+
+  const rawLines = content.split('\n');
+  const { lines: lineInfo } = parseTurns(content);
+  const chunks = splitCode(content, CHUNK_CHARS);
+  if (chunks.length > MAX_CHUNKS) {
+    logger.warn('Transcript too long for LLM - only the first chunks are sent', {
+      sessionId: session.id,
+      chunks: chunks.length,
+      max: MAX_CHUNKS
+    });
+  }
+
+  const items = [];
+  let fromLine = 0;
+
+  for (const chunk of chunks.slice(0, MAX_CHUNKS)) {
+    const toLine = fromLine + chunk.split('\n').length;
+    const estimate = Math.ceil((SYSTEM_PROMPT.length + chunk.length) / 4);
+
+    const reservation = await budget.reserve(estimate, MAX_OUTPUT_TOKENS);
+    if (!reservation) {
+      logger.warn('LLM budget exhausted - falling back to rules', { sessionId: session.id, budget: budget.getStatus() });
+      metrics.llmFallbacks.inc({ reason: 'budget' });
+      return items.length > 0 ? { items, provider: llm.name } : null;
+    }
+
+    try {
+      let reply;
+      try {
+        reply = await llm.complete({ system: SYSTEM_PROMPT, prompt: chunk, maxTokens: MAX_OUTPUT_TOKENS });
+      } catch (err) {
+        await budget.release(reservation);
+        throw err;
+      }
+      const { text, usage } = reply;
+      await budget.record(reservation, usage.input_tokens, usage.output_tokens);
+      metrics.llmTokens.inc({ provider: llm.name, kind: 'input' }, usage.input_tokens);
+      metrics.llmTokens.inc({ provider: llm.name, kind: 'output' }, usage.output_tokens);
+
+      items.push(...toItems(parseReply(text), session, llm.name, { rawLines, lineInfo, fromLine, toLine }));
+    } catch (err) {
+      logger.error('LLM extraction failed - falling back to rules', { sessionId: session.id, error: err.message });
+      metrics.llmFallbacks.inc({ reason: 'error' });
+      return items.length > 0 ? { items, provider: llm.name } : null;
+    }
+
+    fromLine = toLine;
+  }
+
+  logger.info('LLM extraction complete', { sessionId: session.id, provider: llm.name, items: items.length, chunks: Math.min(chunks.length, MAX_CHUNKS) });
+  return { items, provider: llm.name };
+}
+
+module.exports = {
+  extractWithLlm,
+  getLlmClient,
+  setLlmClient,
+  beginLlmRun,
+  getLlmStatus,
+  parseReply,
+  SYSTEM_PROMPT
+};
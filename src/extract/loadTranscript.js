@@ -5,6 +5,7 @@
 
 const db = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
 
 const logger = new Logger('Jason:LoadTranscript');
 
@@ -55,6 +56,7 @@ async function loadTranscript(sessionId) {
     };
 
   } catch (err) {
+    metrics.dbErrors.inc({ operation: 'load_transcript' });
     logger.error('Error loading transcript', { sessionId, error: err.message });
     return null;
   }
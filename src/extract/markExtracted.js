@@ -5,9 +5,22 @@
 
 const db = require('../lib/db');
 const { Logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { recordFailure } = require('./failures');
+const { holdsClaim, ClaimLostError, INSTANCE_ID } = require('./claims');
+const { EXTRACTION_VERSION, EXTRACTOR } = require('./version');
 
 const logger = new Logger('Jason:MarkExtracted');
 
+function buildExtractionMetadata(metadata = {}) {
+  return {
+    ...metadata,
+    extraction_version: EXTRACTION_VERSION,
+    extractor: EXTRACTOR,
+    timestamp: new Date().toISOString()
+  };
+}
+
 /**
  * Mark a session as extracted
  * @param {string} sessionId - Session UUID
@@ -18,11 +31,7 @@ async function markExtracted(sessionId, metadata = {}) {
     const updateData = {
       status: 'extracted',
       extracted_at: new Date().toISOString(),
-      extraction_metadata: {
-        ...metadata,
-        extractor: 'jason-v1',
-        timestamp: new Date().toISOString()
-      }
+      extraction_metadata: buildExtractionMetadata(metadata)
     };
 
     const { error } = await db.from('dev_ai_sessions')
@@ -54,30 +63,81 @@ async function markExtracted(sessionId, metadata = {}) {
   }
 }
 
+/**
+ * Mark a session as extracted inside an open transaction
+ * Throws on failure so the caller's transaction rolls back
+ * If this instance claimed the session, the lease must still be ours
+ * Metadata is merged into the row's: the lease and the failed flag go, the
+ * failure history stays (with no retry pending and a fresh attempt count)
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} sessionId - Session UUID
+ * @param {Object} metadata - Extraction metadata
+ * @throws {ClaimLostError} If the lease expired and another instance took the session
+ */
+async function markExtractedInTransaction(client, sessionId, metadata = {}) {
+  const claimedBy = holdsClaim(sessionId) ? INSTANCE_ID : null;
+  const { rowCount } = await client.query(
+    `UPDATE dev_ai_sessions
+     SET status = 'extracted', extracted_at = $2,
+         extraction_metadata = (COALESCE(extraction_metadata, '{}'::jsonb) - 'claim' - 'failed' - 'reason') || $3::jsonb
+           || CASE WHEN extraction_metadata->'failure' IS NULL THEN '{}'::jsonb
+              ELSE jsonb_build_object('failure', extraction_metadata->'failure' || jsonb_build_object(
+                'attempts', 0, 'next_retry_at', NULL, 'quarantined', false, 'recovered_at', $2::timestamptz)) END
+     WHERE id = $1
+       AND ($4::text IS NULL OR extraction_metadata->'claim'->>'by' = $4)`,
+    [sessionId, new Date().toISOString(), JSON.stringify(buildExtractionMetadata(metadata)), claimedBy]
+  );
+
+  if (rowCount === 0) {
+    if (claimedBy) throw new ClaimLostError(sessionId);
+    throw new Error(`Session ${sessionId} not found when marking extracted`);
+  }
+
+  logger.info('Session marked as extracted', {
+    sessionId,
+    items: metadata.items_created,
+    duplicates: metadata.duplicates_skipped
+  });
+}
+
 /**
  * Mark session as extraction failed
+ * Increments the attempt counter, schedules the next retry with backoff,
+ * and quarantines the session after MAX_ATTEMPTS (see failures.js)
  * @param {string} sessionId
  * @param {string} reason
+ * @returns {Object|null} The failure record written, or null on error
  */
 async function markExtractionFailed(sessionId, reason) {
   try {
-    const { error } = await db.from('dev_ai_sessions')
-      .update({
-        extraction_metadata: {
-          failed: true,
-          reason,
-          timestamp: new Date().toISOString()
-        }
-      })
-      .eq('id', sessionId);
+    const written = await recordFailure(sessionId, reason);
+    if (!written) {
+      logger.error('Failed to mark extraction failure - session not found', { sessionId });
+      return null;
+    }
 
-    if (error) {
-      logger.error('Failed to mark extraction failure', { sessionId });
+    const { failure } = written;
+    if (failure.quarantined) {
+      logger.warn('Session quarantined after repeated failures', {
+        sessionId,
+        attempts: failure.attempts,
+        reason: failure.reason
+      });
+    } else {
+      logger.info('Session extraction failed - will retry', {
+        sessionId,
+        attempts: failure.attempts,
+        nextRetryAt: failure.next_retry_at
+      });
     }
 
+    return failure;
+
   } catch (err) {
-    logger.error('Error marking extraction failure', { error: err.message });
+    metrics.dbErrors.inc({ operation: 'mark_failed' });
+    logger.error('Error marking extraction failure', { sessionId, error: err.message });
+    return null;
   }
 }
 
-module.exports = { markExtracted, markExtractionFailed };
+module.exports = { markExtracted, markExtractedInTransaction, markExtractionFailed };
@@ -0,0 +1,197 @@
+/**
+ * Structured fields in todo / bug marker text
+ *
+ *   TODO(@marco): migrate auth by 2026-11-01 #backend
+ *   -> title "migrate auth", assignees ["marco"], due 2026-11-01, labels ["backend"]
+ *
+ * - @mentions     assignees (also from the marker annotation: TODO(@marco, P1):)
+ * - #labels       lowercased item tags (must start with a letter, so #123 stays)
+ * - due dates     "by|before|due <date>" or "due in <n> days|weeks|months"
+ *                 absolute: 2026-11-01, Nov 1, 1 Nov 2026
+ *                 relative: today, eod, tomorrow, friday / next friday,
+ *                 end of week, next week, end of month, next month
+ *                 Relative dates resolve against the session's created_at (UTC days).
+ *
+ * Due phrases are cut from the title. Mentions and labels at the start or end
+ * of the text are cut too; inline ones keep their word ("ask @marco" -> "ask marco").
+ * Anything inside `code spans` is left alone.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DATE_EXPR = [
+  '\\d{4}-\\d{2}-\\d{2}',
+  `${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?`,
+  `\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH}(?:\\s+\\d{4})?`,
+  'today|tonight|eod|end of (?:the )?day|tomorrow',
+  `(?:next\\s+|this\\s+)?(?:${WEEKDAYS.join('|')})`,
+  '(?:the\\s+)?end of (?:the\\s+|this\\s+)?(?:week|month)|eow|eom',
+  'next (?:week|month)'
+].join('|');
+
+const DUE_AT = new RegExp(`\\b(?:due(?:\\s+(?:on|by))?:?|by|before)\\s+(${DATE_EXPR})(?![\\w'-])`, 'i');
+const DUE_IN = /\bdue\s+(?:in|within)\s+(\d{1,3}|an?|one|two|three|four|five|six|seven)\s+(day|week|month)s?(?![\w'-])/i;
+
+// @name / #label, not part of an email, path, @scope/package or @decorator(
+const TOKEN = /(?<![\w.&#/@])([@#])([A-Za-z0-9_](?:[\w.-]*[A-Za-z0-9_])?)(?![\w/(@])/g;
+const SEPARATORS = /^[\s,;.]*$/;
+
+function utcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function addMonths(date, months) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+}
+
+/**
+ * UTC date, or null if the parts don't form a real date (2026-02-30)
+ */
+function calendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Resolve a due date expression against the session day
+ * @returns {Date|null}
+ */
+function resolveDate(expr, base) {
+  const text = expr.toLowerCase().replace(/\s+/g, ' ').trim();
+  const dow = base.getUTCDay();
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return calendarDate(+iso[1], +iso[2] - 1, +iso[3]);
+
+  const named = text.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/) ||
+    text.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?(?: (\d{4}))?$/);
+  if (named) {
+    const [monthWord, day] = /^\d/.test(named[1]) ? [named[2], +named[1]] : [named[1], +named[2]];
+    const month = MONTHS.indexOf(monthWord.substring(0, 3));
+    if (named[3]) return calendarDate(+named[3], month, day);
+    // No year: the next such date on or after the session day
+    const date = calendarDate(base.getUTCFullYear(), month, day);
+    return date && date < base ? calendarDate(base.getUTCFullYear() + 1, month, day) : date;
+  }
+
+  if (['today', 'tonight', 'eod', 'end of day', 'end of the day'].includes(text)) return base;
+  if (text === 'tomorrow') return addDays(base, 1);
+
+  const weekday = text.match(/^(next |this )?([a-z]+day)$/);
+  if (weekday) {
+    const ahead = (WEEKDAYS.indexOf(weekday[2]) - dow + 7) % 7;
+    return addDays(base, ahead === 0 && weekday[1] !== 'this ' ? 7 : ahead);
+  }
+
+  if (text === 'eow' || /end of (the |this )?week$/.test(text)) return addDays(base, (5 - dow + 7) % 7);
+  if (text === 'next week') return addDays(base, (1 - dow + 7) % 7 || 7);
+  if (text === 'eom' || /end of (the |this )?month$/.test(text)) {
+    return new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + 1, 0));
+  }
+  if (text === 'next month') return new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + 1, 1));
+
+  return null;
+}
+
+/**
+ * First due phrase in text
+ * @returns {Object|null} { date: 'YYYY-MM-DD', text, index, length }
+ */
+function findDue(text, base) {
+  const at = text.match(DUE_AT);
+  const within = text.match(DUE_IN);
+  const match = [at, within].filter(Boolean).sort((a, b) => a.index - b.index)[0];
+  if (!match) return null;
+
+  let date;
+  if (match === within) {
+    const count = NUMBER_WORDS[match[1].toLowerCase()] || parseInt(match[1], 10);
+    const unit = match[2].toLowerCase();
+    date = unit === 'month' ? addMonths(base, count) : addDays(base, unit === 'week' ? count * 7 : count);
+  } else {
+    date = resolveDate(match[1], base);
+  }
+  if (!date) return null;
+
+  return { date: date.toISOString().substring(0, 10), text: match[0], index: match.index, length: match[0].length };
+}
+
+/**
+ * @mention / #label tokens outside code spans
+ */
+function findTokens(text) {
+  const code = [...text.matchAll(/`[^`]*`/g)].map(m => [m.index, m.index + m[0].length]);
+  const inCode = (index) => code.some(([start, end]) => index >= start && index < end);
+
+  return [...text.matchAll(TOKEN)]
+    .filter(m => !inCode(m.index) && (m[1] === '@' || /^[A-Za-z]/.test(m[2])))
+    .map(m => ({ sigil: m[1], name: m[2], start: m.index, end: m.index + m[0].length }));
+}
+
+function unique(values) {
+  const seen = new Set();
+  return values.filter(v => !seen.has(v.toLowerCase()) && seen.add(v.toLowerCase()));
+}
+
+/**
+ * Parse assignees, due date and labels out of marker text
+ * @param {string} text - Marker text (title)
+ * @param {Object} options
+ * @param {string} options.annotation - Marker annotation, e.g. "(@marco)" from "TODO(@marco):"
+ * @param {string|Date} options.createdAt - Session created_at (relative dates; default now)
+ * @returns {Object} { text (fields removed), assignees, labels, due: { date, text } | null }
+ */
+function parseMarkerFields(text, options = {}) {
+  const { annotation = null, createdAt = null } = options;
+  const created = new Date(createdAt || Date.now());
+  const base = utcDay(Number.isNaN(created.getTime()) ? new Date() : created);
+
+  const due = findDue(text, base);
+  let rest = due ? `${text.substring(0, due.index)} ${text.substring(due.index + due.length)}` : text;
+
+  const tokens = findTokens(rest);
+
+  // Leading / trailing runs of tokens are markup; inline ones are part of the sentence
+  const edge = new Set();
+  for (let i = 0; i < tokens.length && SEPARATORS.test(rest.substring(i ? tokens[i - 1].end : 0, tokens[i].start)); i++) {
+    edge.add(tokens[i]);
+  }
+  for (let i = tokens.length - 1; i >= 0 && SEPARATORS.test(rest.substring(tokens[i].end, tokens[i + 1]?.start ?? rest.length)); i--) {
+    edge.add(tokens[i]);
+  }
+
+  let cleaned = '';
+  let position = 0;
+  for (const token of tokens) {
+    cleaned += rest.substring(position, token.start) + (edge.has(token) ? '' : token.name);
+    position = token.end;
+  }
+  rest = cleaned + rest.substring(position);
+
+  const fromAnnotation = annotation ? findTokens(annotation).filter(t => t.sigil === '@') : [];
+  const cleanText = rest
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,;.!?])/g, '$1')
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+
+  return {
+    text: cleanText || text,
+    assignees: unique([...fromAnnotation, ...tokens.filter(t => t.sigil === '@')].map(t => t.name)),
+    labels: unique(tokens.filter(t => t.sigil === '#').map(t => t.name.toLowerCase())),
+    due: due ? { date: due.date, text: due.text } : null
+  };
+}
+
+module.exports = { parseMarkerFields };
@@ -0,0 +1,120 @@
+/**
+ * Parse a clean transcript into conversation turns
+ *
+ * A turn starts at a speaker prefix at the start of a line:
+ * - USER: / HUMAN:                          -> user
+ * - ASSISTANT: / CLAUDE:                    -> assistant
+ * - TOOL: / TOOL OUTPUT: / TOOL RESULT:     -> tool
+ * - SYSTEM:                                 -> system
+ * Lines before the first prefix belong to no turn (speaker 'unknown')
+ */
+
+const SPEAKERS = [
+  { speaker: 'user', pattern: /^(?:USER|HUMAN):/ },
+  { speaker: 'assistant', pattern: /^(?:ASSISTANT|CLAUDE):/ },
+  { speaker: 'tool', pattern: /^(?:TOOL(?:[ _](?:OUTPUT|RESULT))?|OUTPUT):/ },
+  { speaker: 'system', pattern: /^SYSTEM:/ }
+];
+
+const FENCE_LINE = /^[ \t]*(```|~~~)/;
+
+// Lines of surrounding transcript stored with each piece of evidence
+const CONTEXT_LINES = process.env.JASON_EVIDENCE_CONTEXT_LINES !== undefined
+  ? Number(process.env.JASON_EVIDENCE_CONTEXT_LINES)
+  : 2;
+
+/**
+ * Parse transcript content into turns
+ * @param {string} content - Transcript text
+ * @returns {Object} {
+ *   turns: [{ index, speaker, startLine, endLine, startOffset, endOffset }],
+ *   lines: [{ turn, speaker, inCode, offset }]  (one per line, 0-based)
+ * }
+ */
+function parseTurns(content) {
+  const rawLines = String(content || '').split('\n');
+  const turns = [];
+  const lines = new Array(rawLines.length);
+
+  let current = null;
+  let offset = 0;
+  let openFence = null;
+
+  rawLines.forEach((line, i) => {
+    const speaker = SPEAKERS.find(s => s.pattern.test(line));
+    if (speaker) {
+      current = {
+        index: turns.length,
+        speaker: speaker.speaker,
+        startLine: i + 1,
+        endLine: i + 1,
+        startOffset: offset,
+        endOffset: offset + line.length
+      };
+      turns.push(current);
+      openFence = null;
+    }
+
+    // Track fenced code so quoted markers can be told apart from real ones
+    const fence = line.match(FENCE_LINE);
+    let inCode = !!openFence;
+    if (fence) {
+      inCode = true;
+      if (openFence && line.trim().startsWith(openFence)) openFence = null;
+      else if (!openFence) openFence = fence[1];
+    }
+
+    lines[i] = {
+      turn: current ? current.index : null,
+      speaker: current ? current.speaker : 'unknown',
+      inCode,
+      offset
+    };
+
+    if (current) {
+      current.endLine = i + 1;
+      current.endOffset = offset + line.length;
+    }
+    offset += line.length + 1;
+  });
+
+  return { turns, lines };
+}
+
+/**
+ * Surrounding lines for a 1-based line number
+ * @param {string[]} rawLines - Transcript lines
+ * @param {number} line - 1-based line number
+ * @param {number} window - Lines before and after to include
+ */
+function contextWindow(rawLines, line, window) {
+  if (!window) return '';
+  const start = Math.max(0, line - 1 - window);
+  const end = Math.min(rawLines.length, line + window);
+  return rawLines.slice(start, end).join('\n');
+}
+
+/**
+ * Build speaker/turn-aware evidence for a match
+ * @param {Object} session - Session row
+ * @param {Object} match - { excerpt, line (1-based), index (char offset) }
+ * @param {Object} info - parseTurns line info for the match line
+ * @param {string[]} rawLines - Transcript lines
+ * @param {number} contextLines - Surrounding lines to keep (default JASON_EVIDENCE_CONTEXT_LINES)
+ * @param {string} location - Evidence location label
+ */
+function buildEvidence(session, match, info, rawLines, contextLines = CONTEXT_LINES, location = 'strict-marker') {
+  return {
+    session_id: session.id,
+    excerpt: match.excerpt.substring(0, 150),
+    location,
+    speaker: info.speaker,
+    turn: info.turn,
+    line: match.line,
+    char_start: match.index,
+    char_end: match.index + match.excerpt.length,
+    context: contextWindow(rawLines, match.line, contextLines).substring(0, 1000)
+  };
+}
+
+module.exports = { parseTurns, contextWindow, buildEvidence, SPEAKERS, CONTEXT_LINES };
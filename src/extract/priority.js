@@ -0,0 +1,188 @@
+/**
+ * Priority inference for marker items
+ * Loaded from a JSON or YAML file (default: config/priority.json)
+ *
+ * - annotations  token -> priority for marker annotations: TODO(P0): / BUG[critical]:
+ *                or a leading "(P1)" / "[blocker]" in the text. The priority names
+ *                (low, medium, high, critical) are always accepted. Tokens are
+ *                case-insensitive; "(P0, auth)" is read token by token.
+ * - keywords     [{ name, pattern, priority, caseSensitive }] regexes run on the
+ *                marker text ("blocker", "prod down", "someday", "!!!")
+ *
+ * An annotation wins over keywords; among keywords the highest priority wins.
+ * Without a signal the rule's own priority stands. Only rules that set a
+ * priority (TODO, BUG, ...) are inferred - see extractWithRules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const { Logger } = require('../lib/logger');
+
+const logger = new Logger('Jason:Priority');
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+
+const DEFAULT_PRIORITY_FILE = path.join(__dirname, '../../config/priority.json');
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// "(P0) text" / "[blocker] text" at the start of the marker text
+const LEADING_ANNOTATION = /^(\([^)\n]{1,40}\)|\[[^\]\n]{1,40}\])[ \t]*/;
+
+const priorityFileSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    annotations: {
+      type: 'object',
+      propertyNames: { minLength: 1 },
+      additionalProperties: { type: 'string', enum: PRIORITIES },
+      default: {}
+    },
+    keywords: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['name', 'pattern', 'priority'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          pattern: { type: 'string', minLength: 1 },
+          priority: { type: 'string', enum: PRIORITIES },
+          caseSensitive: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }
+};
+
+const validatePriorityFile = ajv.compile(priorityFileSchema);
+
+// Loaded priority rules (cached after first load)
+let activePriorityRules = null;
+
+/**
+ * Parse and validate a priority document
+ * @returns {Object} { annotations: { token: priority }, keywords: [{ name, regex, priority }] }
+ * @throws {Error} If the document is invalid
+ */
+function parsePriorityRules(doc) {
+  if (!validatePriorityFile(doc)) {
+    const reasons = validatePriorityFile.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+    throw new Error(`Invalid priority rules: ${reasons.join('; ')}`);
+  }
+
+  const annotations = Object.fromEntries(PRIORITIES.map(p => [p, p]));
+  for (const [token, priority] of Object.entries(doc.annotations)) {
+    annotations[token.toLowerCase()] = priority;
+  }
+
+  const keywords = doc.keywords.map((keyword, i) => {
+    try {
+      return { ...keyword, regex: new RegExp(keyword.pattern, keyword.caseSensitive ? '' : 'i') };
+    } catch (err) {
+      throw new Error(`Invalid priority rules: /keywords/${i} bad pattern "${keyword.pattern}": ${err.message}`);
+    }
+  });
+
+  return { annotations, keywords };
+}
+
+/**
+ * Load priority rules from a JSON or YAML file
+ * @param {string} file - Path (default: JASON_PRIORITY_FILE or config/priority.json)
+ */
+function loadPriorityRules(file) {
+  file = file || process.env.JASON_PRIORITY_FILE || DEFAULT_PRIORITY_FILE;
+  const raw = fs.readFileSync(file, 'utf8');
+  const rules = parsePriorityRules(/\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw));
+
+  logger.info('Loaded priority rules', { file, annotations: Object.keys(rules.annotations).length, keywords: rules.keywords.length });
+  return rules;
+}
+
+/**
+ * Get the active priority rules, loading the default file on first use
+ */
+function getPriorityRules() {
+  if (!activePriorityRules) {
+    activePriorityRules = loadPriorityRules();
+  }
+  return activePriorityRules;
+}
+
+/**
+ * Replace the active priority rules (e.g. after loading a custom file at startup)
+ */
+function setPriorityRules(rules) {
+  activePriorityRules = rules;
+}
+
+/**
+ * Priority named by an annotation like "(P0)" or "[critical, auth]"
+ * @returns {string|null}
+ */
+function annotationPriority(annotation, annotations) {
+  if (!annotation) return null;
+  const tokens = annotation.replace(/^[([]|[)\]]$/g, '').toLowerCase().split(/[\s,;/]+/);
+  const priorities = tokens.map(t => annotations[t]).filter(Boolean);
+  return priorities.length ? highest(priorities) : null;
+}
+
+function highest(priorities) {
+  return priorities.reduce((a, b) => (PRIORITIES.indexOf(b) > PRIORITIES.indexOf(a) ? b : a));
+}
+
+/**
+ * Infer an item's priority from its marker annotation and text
+ * @param {string} text - Marker text (title)
+ * @param {string} fallback - The rule's own priority
+ * @param {Object} options
+ * @param {string} options.annotation - Marker annotation, e.g. "(P0)" from "TODO(P0):"
+ * @param {string} options.rule - Marker rule name (recorded in the signal)
+ * @param {Object} options.rules - Parsed priority rules (default: active file)
+ * @returns {Object} { priority, text (leading priority annotation removed), signal }
+ *   signal: { source: annotation | keyword | rule, match, keyword?, rule }
+ */
+function inferPriority(text, fallback, options = {}) {
+  const { annotation = null, rule = null, rules = getPriorityRules() } = options;
+
+  const fromMarker = annotationPriority(annotation, rules.annotations);
+  if (fromMarker) {
+    return { priority: fromMarker, text, signal: { source: 'annotation', match: annotation, rule } };
+  }
+
+  const leading = text.match(LEADING_ANNOTATION);
+  const fromText = leading && annotationPriority(leading[1], rules.annotations);
+  if (fromText) {
+    return {
+      priority: fromText,
+      text: text.slice(leading[0].length).trim() || text,
+      signal: { source: 'annotation', match: leading[1], rule }
+    };
+  }
+
+  let best = null;
+  for (const keyword of rules.keywords) {
+    const match = text.match(keyword.regex);
+    if (match && (!best || PRIORITIES.indexOf(keyword.priority) > PRIORITIES.indexOf(best.priority))) {
+      best = { priority: keyword.priority, match: match[0], keyword: keyword.name };
+    }
+  }
+  if (best) {
+    return { priority: best.priority, text, signal: { source: 'keyword', match: best.match, keyword: best.keyword, rule } };
+  }
+
+  return { priority: fallback, text, signal: { source: 'rule', match: null, rule } };
+}
+
+module.exports = {
+  loadPriorityRules,
+  parsePriorityRules,
+  getPriorityRules,
+  setPriorityRules,
+  inferPriority,
+  PRIORITIES,
+  DEFAULT_PRIORITY_FILE
+};
@@ -0,0 +1,284 @@
+/**
+ * Project allowlist and per-project extraction settings
+ *
+ * Source (JASON_PROJECTS_SOURCE):
+ * - file (default)  JSON or YAML file (JASON_PROJECTS_FILE, default config/projects.json),
+ *                   reloaded as soon as it changes on disk
+ * - db              dev_projects rows with jason_enabled = true; optional per-project
+ *                   settings in dev_projects.jason_settings (jsonb), refreshed every
+ *                   JASON_PROJECTS_REFRESH
+ *
+ * Settings (top-level "defaults", overridable per project):
+ * - buckets   buckets extracted for the project (default: all)
+ * - since     lookback for the project's sessions (default: the run's --since)
+ * - maxItems  max items staged per session, highest priority first (default: no limit)
+ * - priority  priority for items that don't set one (default: medium)
+ *
+ * A reload that fails validation keeps the last good allowlist.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const db = require('../lib/db');
+const { Logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { parseDuration } = require('../lib/duration');
+const { VALID_BUCKETS } = require('./validateItems');
+const { PRIORITIES } = require('./priority');
+
+const logger = new Logger('Jason:Projects');
+const ajv = new Ajv({ allErrors: true });
+
+const DEFAULT_PROJECTS_FILE = path.join(__dirname, '../../config/projects.json');
+const SOURCE = process.env.JASON_PROJECTS_SOURCE || 'file';
+const REFRESH_MS = parseDuration(process.env.JASON_PROJECTS_REFRESH, 60 * 1000);
+
+const DEFAULT_SETTINGS = {
+  buckets: VALID_BUCKETS,
+  since: null,
+  maxItems: null,
+  priority: 'medium'
+};
+
+const settingsProperties = {
+  buckets: {
+    type: 'array',
+    minItems: 1,
+    uniqueItems: true,
+    items: { type: 'string', enum: VALID_BUCKETS }
+  },
+  since: { type: 'string', pattern: '^\\d+(m|h|d)$' },
+  maxItems: { type: 'integer', minimum: 1, maximum: 1000 },
+  priority: { type: 'string', enum: PRIORITIES }
+};
+
+const settingsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: settingsProperties
+};
+
+const projectsFileSchema = {
+  type: 'object',
+  required: ['projects'],
+  additionalProperties: false,
+  properties: {
+    defaults: settingsSchema,
+    projects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['slug'],
+        additionalProperties: false,
+        properties: {
+          slug: { type: 'string', minLength: 1, pattern: '^[a-z0-9][a-z0-9-]*$' },
+          enabled: { type: 'boolean' },
+          ...settingsProperties
+        }
+      }
+    }
+  }
+};
+
+const validateProjectsFile = ajv.compile(projectsFileSchema);
+const validateSettings = ajv.compile(settingsSchema);
+
+// Last good allowlist and when/what it was loaded from
+let active = null;
+// mtime of a file version that failed to load - not retried until it changes again
+let failedMtime = null;
+
+/**
+ * Parse and validate a projects document
+ * @param {Object} doc - Parsed projects file
+ * @returns {Array} Enabled projects with effective settings
+ * @throws {Error} If the document is invalid
+ */
+function parseProjects(doc) {
+  if (!validateProjectsFile(doc)) {
+    const reasons = validateProjectsFile.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+    throw new Error(`Invalid projects: ${reasons.join('; ')}`);
+  }
+
+  const defaults = { ...DEFAULT_SETTINGS, ...doc.defaults };
+  const slugs = new Set();
+  return doc.projects
+    .map(({ enabled = true, ...project }) => {
+      if (slugs.has(project.slug)) {
+        throw new Error(`Invalid projects: duplicate slug "${project.slug}"`);
+      }
+      slugs.add(project.slug);
+      return enabled ? { ...defaults, ...project } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Load projects from a JSON or YAML file
+ * @param {string} file - Path (default: JASON_PROJECTS_FILE or config/projects.json)
+ * @returns {Array} Enabled projects with effective settings
+ */
+function loadProjectsFile(file) {
+  file = file || process.env.JASON_PROJECTS_FILE || DEFAULT_PROJECTS_FILE;
+  const raw = fs.readFileSync(file, 'utf8');
+  const doc = /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+  return parseProjects(doc);
+}
+
+/**
+ * Load projects flagged jason_enabled in dev_projects
+ * Rows with invalid jason_settings are skipped (logged), not fatal
+ */
+async function loadProjectsFromDb() {
+  const { data, error } = await db.from('dev_projects')
+    .select('slug, jason_settings')
+    .eq('jason_enabled', true);
+
+  if (error) {
+    metrics.dbErrors.inc({ operation: 'load_allowlist' });
+    throw new Error(`Failed to load dev_projects allowlist: ${error.message}`);
+  }
+
+  return (data || [])
+    .filter(row => row.slug)
+    .map(row => {
+      const settings = row.jason_settings || {};
+      if (!validateSettings(settings)) {
+        logger.warn('Ignoring invalid jason_settings', { slug: row.slug, error: ajv.errorsText(validateSettings.errors) });
+        return { ...DEFAULT_SETTINGS, slug: row.slug };
+      }
+      return { ...DEFAULT_SETTINGS, ...settings, slug: row.slug };
+    });
+}
+
+/**
+ * Current allowlist, reloading it when the file changed / the DB refresh is due
+ * @param {Object} options - { force } reload regardless
+ * @returns {Array} Enabled projects with effective settings
+ * @throws {Error} If nothing could ever be loaded
+ */
+async function getProjects({ force = false } = {}) {
+  try {
+    if (SOURCE === 'db') {
+      if (force || !active || Date.now() - active.loadedAt >= REFRESH_MS) {
+        setActive(await loadProjectsFromDb(), 'dev_projects');
+      }
+    } else if (SOURCE === 'file') {
+      const file = process.env.JASON_PROJECTS_FILE || DEFAULT_PROJECTS_FILE;
+      const mtime = fs.statSync(file).mtimeMs;
+      if (force || !active || (active.mtime !== mtime && failedMtime !== mtime)) {
+        failedMtime = mtime;
+        setActive(loadProjectsFile(file), file, mtime);
+        failedMtime = null;
+      }
+    } else {
+      throw new Error(`Unknown JASON_PROJECTS_SOURCE: ${SOURCE} (expected file, db)`);
+    }
+  } catch (err) {
+    if (!active) throw err;
+    logger.error('Failed to reload projects - keeping the previous allowlist', { error: err.message });
+  }
+  return active.projects;
+}
+
+function setActive(projects, source, mtime = null) {
+  const changed = !active || JSON.stringify(active.projects) !== JSON.stringify(projects);
+  active = { projects, source, mtime, loadedAt: Date.now() };
+  if (changed) {
+    logger.info('Loaded project allowlist', { source, projects: projects.length });
+  }
+}
+
+/**
+ * Project a session slug belongs to - the longest allowlisted slug it contains
+ * (session slugs may carry suffixes, e.g. "nextbid-portal")
+ */
+function findProject(projects, sessionSlug) {
+  if (!sessionSlug) return null;
+  return projects
+    .filter(p => sessionSlug.includes(p.slug))
+    .sort((a, b) => b.slug.length - a.slug.length)[0] || null;
+}
+
+/**
+ * { slug: since } for projects with their own lookback (selectSessions lookbacks)
+ */
+function projectLookbacks(projects) {
+  return Object.fromEntries(projects.filter(p => p.since).map(p => [p.slug, p.since]));
+}
+
+/**
+ * Split a --slugs list and keep only allowlisted ones; no list = every project
+ * @throws {Error} If none are allowed
+ */
+function selectSlugs(list, projects) {
+  const requested = (list || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (requested.length === 0) {
+    if (projects.length === 0) throw new Error('Project allowlist is empty');
+    return projects.map(p => p.slug);
+  }
+
+  const valid = requested.filter(s => projects.some(p => s.startsWith(p.slug)));
+  if (valid.length === 0) {
+    logger.error('No valid slugs provided', { provided: requested, allowed: projects.map(p => p.slug) });
+    throw new Error('No valid slugs provided');
+  }
+  return valid;
+}
+
+/**
+ * The maxItems highest-priority items, in their original order
+ */
+function capItems(items, maxItems) {
+  if (items.length <= maxItems) return items;
+
+  const rank = item => PRIORITIES.indexOf(item.priority);
+  const top = new Set(
+    items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => rank(b.item) - rank(a.item) || a.index - b.index)
+      .slice(0, maxItems)
+      .map(entry => entry.item)
+  );
+  return items.filter(item => top.has(item));
+}
+
+/**
+ * Apply a project's bucket filter, default priority and item cap to a session's items
+ * @returns {Object} { items, dropped: { bucket, cap } }
+ */
+function applyProjectSettings(items, project) {
+  if (!project) return { items, dropped: { bucket: 0, cap: 0 } };
+
+  const allowed = items.filter(item => project.buckets.includes(item.bucket));
+  allowed.forEach(item => {
+    if (!item.priority) item.priority = project.priority;
+  });
+
+  const kept = project.maxItems ? capItems(allowed, project.maxItems) : allowed;
+  return {
+    items: kept,
+    dropped: { bucket: items.length - allowed.length, cap: allowed.length - kept.length }
+  };
+}
+
+function getProjectsStatus() {
+  return active
+    ? { source: active.source, projects: active.projects.length, loadedAt: new Date(active.loadedAt).toISOString() }
+    : null;
+}
+
+module.exports = {
+  getProjects,
+  loadProjectsFile,
+  parseProjects,
+  findProject,
+  projectLookbacks,
+  selectSlugs,
+  applyProjectSettings,
+  getProjectsStatus,
+  DEFAULT_SETTINGS,
+  DEFAULT_PROJECTS_FILE
+};
@@ -0,0 +1,154 @@
+/**
+ * Link resolution items (FIXED: / RESOLVED: / DONE: / [x]) to the open
+ * items they close, so the board stops showing bugs fixed in a later session
+ *
+ * Candidates: open items in dev_ai_smart_extractions for the same project
+ * (not resolved, superseded or themselves completions), plus open items
+ * extracted from the current session
+ *
+ * Match order:
+ * 1. Explicit reference - ref:<id or hash prefix>
+ * 2. Text similarity >= JASON_RESOLVE_THRESHOLD (default 0.5)
+ *
+ * A matched open item from this session gets metadata.resolved_by and is staged
+ * as 'resolved'; a matched staging row is set to 'resolved' by insertStaging.
+ */
+
+const { query } = require('../lib/pg');
+const { Logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { resolveProjectId } = require('../lib/resolveProject');
+const { textSimilarity, readThreshold } = require('../lib/textSimilarity');
+const { generateHash, SUPERSEDED, RESOLVED, RESOLUTION } = require('./insertStaging');
+
+const logger = new Logger('Jason:ResolveItems');
+
+const RESOLVE_THRESHOLD = readThreshold('JASON_RESOLVE_THRESHOLD', 0.5, logger);
+const CANDIDATE_LIMIT = 500;
+
+/**
+ * Load recent open items for a project from staging
+ */
+async function loadOpenCandidates(projectId, buckets) {
+  try {
+    const { rows } = await query(
+      `SELECT id, hash, bucket, title, content, created_at
+       FROM dev_ai_smart_extractions
+       WHERE project_id = $1 AND bucket = ANY($2::text[]) AND status <> ALL($3::text[])
+       ORDER BY created_at DESC
+       LIMIT $4`,
+      [projectId, buckets, [SUPERSEDED, RESOLVED, RESOLUTION], CANDIDATE_LIMIT]
+    );
+    return rows;
+  } catch (err) {
+    metrics.dbErrors.inc({ operation: 'load_candidates' });
+    logger.error('Error loading open items', { error: err.message });
+    return [];
+  }
+}
+
+/**
+ * Find the open item a resolution refers to
+ * @returns {Object|null} { candidate, method, similarity }
+ */
+function findResolvedItem(item, resolution, candidates, claimed) {
+  const pool = candidates.filter(c =>
+    resolution.buckets.includes(c.bucket) && !claimed.has(c.hash)
+  );
+
+  if (resolution.ref) {
+    const ref = resolution.ref;
+    const candidate = pool.find(c =>
+      (c.id != null && String(c.id).toLowerCase().startsWith(ref)) || (c.hash && c.hash.startsWith(ref))
+    );
+    if (candidate) {
+      return { candidate, method: 'reference', similarity: 1 };
+    }
+  }
+
+  let best = null;
+  for (const candidate of pool) {
+    const similarity = textSimilarity(item.title, candidate.title || candidate.content);
+    if (similarity >= RESOLVE_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = { candidate, method: 'similarity', similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Link resolution items to earlier open items
+ * Unmatched items from requireMatch rules (e.g. DONE:) are dropped -
+ * a completion with nothing to complete would otherwise show up as a new todo
+ * @param {Array} items - Validated items from one session
+ * @param {Object} session - Session row
+ * @param {Object} options
+ * @param {boolean} options.offline - Only match items from this session (no DB lookup)
+ * @returns {Array} Items with metadata.resolution.resolves set where matched
+ */
+async function linkResolutions(items, session, options = {}) {
+  const resolutions = items.filter(i => i.metadata?.resolution);
+  if (resolutions.length === 0) return items;
+
+  const buckets = [...new Set(resolutions.flatMap(i => i.metadata.resolution.buckets))];
+
+  const projectId = options.offline ? null : await resolveProjectId(session.project_slug);
+  const stored = projectId ? await loadOpenCandidates(projectId, buckets) : [];
+
+  // Open items from this same session (not in staging yet)
+  const local = items
+    .filter(i => !i.metadata?.resolution && buckets.includes(i.bucket))
+    .map(i => ({ id: null, hash: generateHash(i), bucket: i.bucket, title: i.title, content: i.content, item: i }));
+
+  const candidates = [...local, ...stored];
+  const claimed = new Set();
+  const result = [];
+  let linked = 0;
+  let dropped = 0;
+
+  for (const item of items) {
+    const resolution = item.metadata?.resolution;
+    if (!resolution) {
+      result.push(item);
+      continue;
+    }
+
+    const match = findResolvedItem(item, resolution, candidates, claimed);
+    if (match) {
+      const { candidate, method, similarity } = match;
+      claimed.add(candidate.hash);
+      resolution.resolves = {
+        id: candidate.id,
+        hash: candidate.hash,
+        bucket: candidate.bucket,
+        title: candidate.title,
+        method,
+        similarity: Number(similarity.toFixed(3))
+      };
+      if (candidate.item) {
+        candidate.item.metadata = { ...candidate.item.metadata, resolved_by: { session_id: session.id, title: item.title } };
+      }
+      linked++;
+    } else if (resolution.requireMatch) {
+      logger.debug('Dropping unmatched completion', { sessionId: session.id, title: item.title });
+      dropped++;
+      continue;
+    } else {
+      resolution.resolves = null;
+    }
+
+    result.push(item);
+  }
+
+  logger.info('Linked resolutions', {
+    sessionId: session.id,
+    resolutions: resolutions.length,
+    linked,
+    dropped,
+    candidates: candidates.length
+  });
+
+  return result;
+}
+
+module.exports = { linkResolutions, findResolvedItem, RESOLVE_THRESHOLD };
@@ -0,0 +1,326 @@
+/**
+ * Marker rules for strict extraction
+ * Loaded from a JSON or YAML rules file (default: config/rules.json)
+ *
+ * Each rule:
+ * - name          unique rule name
+ * - pattern       marker regex (matched at line start, e.g. "TODO:"); a marker
+ *                 ending in ":" also takes an annotation before the colon,
+ *                 e.g. TODO(P0): or BUG[critical]: (see priority.js)
+ * - bucket        target bucket (any of VALID_BUCKETS)
+ * - priority      default priority (optional)
+ * - minLength     min captured text length (default 10)
+ * - maxLength     max captured text length (default 200)
+ * - caseSensitive match marker case-sensitively (default false)
+ * - block         continuation block overrides for this rule (optional)
+ * - resolves      buckets this marker closes (e.g. FIXED: -> ["Bugs Open"])
+ * - requireMatch  drop the item unless it links to an earlier open item
+ *
+ * Continuation blocks (top-level "block", overridable per rule) pull the
+ * lines following a marker into the item's content:
+ * - indented        lines indented deeper than the marker
+ * - bullets         bullet/numbered lines right under the marker
+ * - fencedCode      a ``` fenced block following the marker
+ * - links           bare URL lines right under the marker (default false)
+ * - stopAtBlankLine a blank line ends the block (default true)
+ * - maxLines        max continuation lines (default 30)
+ * - maxChars        max continuation characters (default 4000)
+ * A line that is itself a marker always ends the block.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const { Logger } = require('../lib/logger');
+const { VALID_BUCKETS } = require('./validateItems');
+
+const logger = new Logger('Jason:Rules');
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../../config/rules.json');
+
+const DEFAULT_BLOCK = {
+  enabled: true,
+  indented: true,
+  bullets: true,
+  fencedCode: true,
+  links: false,
+  stopAtBlankLine: true,
+  maxLines: 30,
+  maxChars: 4000
+};
+
+const BULLET_LINE = /^[ \t]*(?:[-*+]|\d+[.)])[ \t]+\S/;
+const FENCE_LINE = /^[ \t]*(```|~~~)/;
+const LINK_LINE = /^[ \t]*<?https?:\/\/\S+/i;
+const ANNOTATION = '(?:[ \\t]?(?<annotation>\\([^)\\n]{1,40}\\)|\\[[^\\]\\n]{1,40}\\]))?';
+
+const blockSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    indented: { type: 'boolean' },
+    bullets: { type: 'boolean' },
+    fencedCode: { type: 'boolean' },
+    links: { type: 'boolean' },
+    stopAtBlankLine: { type: 'boolean' },
+    maxLines: { type: 'integer', minimum: 0, maximum: 500 },
+    maxChars: { type: 'integer', minimum: 0, maximum: 10000 }
+  }
+};
+
+const ruleSchema = {
+  type: 'object',
+  required: ['name', 'pattern', 'bucket'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    pattern: { type: 'string', minLength: 1 },
+    bucket: { type: 'string', enum: VALID_BUCKETS },
+    priority: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+    minLength: { type: 'integer', minimum: 1, default: 10 },
+    maxLength: { type: 'integer', minimum: 1, maximum: 10000, default: 200 },
+    caseSensitive: { type: 'boolean', default: false },
+    block: blockSchema,
+    resolves: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: VALID_BUCKETS }
+    },
+    requireMatch: { type: 'boolean', default: false }
+  }
+};
+
+const rulesFileSchema = {
+  type: 'object',
+  required: ['rules'],
+  properties: {
+    block: blockSchema,
+    rules: {
+      type: 'array',
+      minItems: 1,
+      items: ruleSchema
+    }
+  }
+};
+
+const validateRulesFile = ajv.compile(rulesFileSchema);
+
+// Loaded rules (cached after first load)
+let activeRules = null;
+
+/**
+ * Allow an annotation before a marker's trailing colon: "TODO:" -> TODO(P0):
+ */
+function withAnnotation(pattern) {
+  return /(^|[^\\]):$/.test(pattern) ? `${pattern.slice(0, -1)}${ANNOTATION}:` : pattern;
+}
+
+/**
+ * Compile a rule's marker pattern into a line regex
+ * Named groups: text (after the marker), annotation (before the colon, if any)
+ */
+function compileRule(rule, block = DEFAULT_BLOCK) {
+  const flags = rule.caseSensitive ? 'gm' : 'gmi';
+  const marker = withAnnotation(rule.pattern);
+  return {
+    ...rule,
+    block: { ...block, ...rule.block },
+    regex: new RegExp(`^[ \\t]*(?:${marker})[ \\t]*(?<text>.*)$`, flags),
+    lineRegex: new RegExp(`^[ \\t]*(?:${marker})`, rule.caseSensitive ? '' : 'i')
+  };
+}
+
+/**
+ * Parse and validate a rules document
+ * @param {Object} doc - Parsed rules file
+ * @returns {Array} Compiled rules
+ * @throws {Error} If the document is invalid
+ */
+function parseRules(doc) {
+  if (!validateRulesFile(doc)) {
+    const reasons = validateRulesFile.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+    throw new Error(`Invalid rules: ${reasons.join('; ')}`);
+  }
+
+  const block = { ...DEFAULT_BLOCK, ...doc.block };
+  const names = new Set();
+  return doc.rules.map((rule, i) => {
+    if (names.has(rule.name)) {
+      throw new Error(`Invalid rules: duplicate rule name "${rule.name}"`);
+    }
+    names.add(rule.name);
+
+    if (rule.minLength > rule.maxLength) {
+      throw new Error(`Invalid rules: /rules/${i} minLength is greater than maxLength`);
+    }
+
+    try {
+      return compileRule(rule, block);
+    } catch (err) {
+      throw new Error(`Invalid rules: /rules/${i} bad pattern "${rule.pattern}": ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Load rules from a JSON or YAML file
+ * @param {string} file - Path to rules file (default: JASON_RULES_FILE or config/rules.json)
+ * @returns {Array} Compiled rules
+ */
+function loadRules(file) {
+  file = file || process.env.JASON_RULES_FILE || DEFAULT_RULES_FILE;
+  const raw = fs.readFileSync(file, 'utf8');
+  const isYaml = /\.ya?ml$/i.test(file);
+  const doc = isYaml ? YAML.parse(raw) : JSON.parse(raw);
+  const rules = parseRules(doc);
+
+  logger.info('Loaded extraction rules', { file, rules: rules.length });
+  return rules;
+}
+
+/**
+ * Get the active rules, loading the default file on first use
+ */
+function getRules() {
+  if (!activeRules) {
+    activeRules = loadRules();
+  }
+  return activeRules;
+}
+
+/**
+ * Replace the active rules (e.g. after loading a custom file at startup)
+ */
+function setRules(rules) {
+  activeRules = rules;
+}
+
+function indentOf(line) {
+  return line.match(/^[ \t]*/)[0].length;
+}
+
+/**
+ * Collect the continuation block that follows a marker line
+ * @param {string[]} lines - All transcript lines
+ * @param {number} markerLine - Index of the marker line
+ * @param {Object} block - Block boundary settings
+ * @param {Function} isMarkerLine - True if a line starts another marker
+ * @param {Array} fences - 'open'/'close' per line index for fence lines
+ * @returns {string[]} Continuation lines (may be empty)
+ */
+function collectBlock(lines, markerLine, block, isMarkerLine, fences) {
+  if (!block.enabled || block.maxLines === 0) return [];
+
+  const markerIndent = indentOf(lines[markerLine]);
+  const body = [];
+  let chars = 0;
+  let pendingBlank = 0;
+  let inFence = null;
+
+  for (let i = markerLine + 1; i < lines.length && body.length < block.maxLines; i++) {
+    const line = lines[i];
+
+    if (inFence) {
+      body.push(line);
+      chars += line.length + 1;
+      if (line.trim().startsWith(inFence)) inFence = null;
+    } else if (!line.trim()) {
+      if (block.stopAtBlankLine) break;
+      pendingBlank++;
+      continue;
+    } else if (isMarkerLine(line) || fences[i] === 'close') {
+      // Another marker, or the end of a code fence the marker sits in
+      break;
+    } else if (block.fencedCode && fences[i] === 'open') {
+      inFence = line.match(FENCE_LINE)[1];
+      body.push(...Array(pendingBlank).fill(''), line);
+      chars += line.length + 1;
+    } else if ((block.indented && indentOf(line) > markerIndent) ||
+               (block.bullets && BULLET_LINE.test(line) && indentOf(line) >= markerIndent) ||
+               (block.links && LINK_LINE.test(line))) {
+      body.push(...Array(pendingBlank).fill(''), line);
+      chars += line.length + 1;
+    } else {
+      break;
+    }
+
+    pendingBlank = 0;
+    if (chars > block.maxChars) break;
+  }
+
+  const text = body.join('\n');
+  return text.length > block.maxChars ? text.substring(0, block.maxChars).split('\n') : body;
+}
+
+/**
+ * Find every rule match in content
+ * @returns {Array} [{ rule, text, body, annotation, excerpt, index, line }] in rule order
+ *   text - marker line text (title), body - continuation block ('' if none),
+ *   annotation - marker annotation like "(P0)" (null if none)
+ */
+function findRuleMatches(content, rules = getRules()) {
+  const matches = [];
+  const lines = content.split('\n');
+
+  // Start offset of each line, for mapping match index -> line number
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  const lineAt = (index) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= index) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  };
+  const isMarkerLine = (line) => rules.some(r => r.lineRegex.test(line));
+
+  // Classify fence lines so a closing fence is never mistaken for an opening one
+  const fences = [];
+  let openFence = null;
+  lines.forEach((line, i) => {
+    const fence = line.match(FENCE_LINE);
+    if (!fence) return;
+    if (openFence && line.trim().startsWith(openFence)) {
+      fences[i] = 'close';
+      openFence = null;
+    } else if (!openFence) {
+      fences[i] = 'open';
+      openFence = fence[1];
+    }
+  });
+
+  for (const rule of rules) {
+    rule.regex.lastIndex = 0;
+    let match;
+    while ((match = rule.regex.exec(content)) !== null) {
+      const text = match.groups.text?.trim();
+      if (text && text.length >= rule.minLength && text.length <= rule.maxLength) {
+        const line = lineAt(match.index);
+        const body = collectBlock(lines, line, rule.block, isMarkerLine, fences).join('\n').trimEnd();
+        const annotation = match.groups.annotation || null;
+        matches.push({ rule, text, body, annotation, excerpt: match[0], index: match.index, line: line + 1 });
+      }
+      if (match[0].length === 0) rule.regex.lastIndex++;
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  loadRules,
+  parseRules,
+  getRules,
+  setRules,
+  findRuleMatches,
+  DEFAULT_BLOCK,
+  DEFAULT_RULES_FILE
+};
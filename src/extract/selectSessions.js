@@ -1,136 +1,230 @@
 /**
  * Select sessions to process for extraction
  *
- * Selection criteria:
+ * Selection criteria (all checked in one SQL query):
  * 1. Status = 'cleaned' (Susan has cleaned the transcript)
- * 2. Has clean transcript in dev_ai_clean_transcripts
- * 3. Slug must match allowlist (truth gate)
+ * 2. Has a non-empty clean transcript in dev_ai_clean_transcripts
+ * 3. Slug must match allowlist (truth gate), within that slug's lookback (if any)
  * 4. Not already extracted
+ * 5. Not waiting out a retry backoff after a failure (see failures.js)
+ * 6. Not leased to another Jason instance (see claims.js)
+ *
+ * Oldest first. Runs page through the backlog with a persisted cursor
+ * (JASON_CURSOR_FILE): each run resumes after the last session the previous
+ * run completed, and once a page comes back short (the backlog is drained) the
+ * cursor resets so the next pass picks up retries and late arrivals. Without an
+ * explicit --since a cursor run pages through the whole backlog.
+ *
+ * A session waiting out a retry backoff is not selected, but it still holds the
+ * cursor (backingOff selects those sessions): later sessions are processed,
+ * while the cursor stays before it until it is retried and completes.
+ *
+ * Re-extraction (`jason reextract`) selects status 'extracted' instead,
+ * optionally only sessions extracted by an older extractor version
  */
 
-const db = require('../lib/db');
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../lib/pg');
 const { Logger } = require('../lib/logger');
+const { metrics } = require('../lib/metrics');
+const { parseDuration } = require('../lib/duration');
+const { RETRY_DUE_SQL, QUARANTINED } = require('./failures');
+const { claimFreeSql, INSTANCE_ID } = require('./claims');
 
 const logger = new Logger('Jason:SelectSessions');
 
+const DEFAULT_CURSOR_FILE = path.join(__dirname, '../../logs/selection-cursor.json');
+const IGNORED_SLUGS = ['', 'unassigned', 'terminal'];
+
 /**
- * Parse duration string to milliseconds
- * @param {string} duration - e.g., '30m', '1h', '3h', '24h'
+ * Numeric x.y.z parts for SQL comparison (missing / non-numeric parts = 0)
  */
-function parseDuration(duration) {
-  const match = duration.match(/^(\d+)(m|h|d)$/);
-  if (!match) return 3 * 60 * 60 * 1000; // Default 3 hours
-
-  const [, value, unit] = match;
-  const ms = {
-    m: 60 * 1000,
-    h: 60 * 60 * 1000,
-    d: 24 * 60 * 60 * 1000
-  };
-
-  return parseInt(value, 10) * ms[unit];
+function versionParts(version) {
+  const parts = String(version || '0').split('.').map(n => parseInt(n, 10) || 0);
+  return [0, 1, 2].map(i => parts[i] || 0);
+}
+
+function cutoff(since) {
+  return since ? new Date(Date.now() - parseDuration(since)).toISOString() : null;
+}
+
+/**
+ * Lookback cutoff per requested slug - the longest matching project lookback, else since
+ * (null = no cutoff)
+ */
+function slugCutoffs(slugs, since, lookbacks) {
+  const keys = Object.keys(lookbacks).sort((a, b) => b.length - a.length);
+  return slugs.map(slug => {
+    const key = keys.find(k => slug.includes(k));
+    return cutoff(key ? lookbacks[key] : since);
+  });
 }
 
 /**
  * Select sessions ready for extraction
  * @param {Object} options
  * @param {string} options.sessionId - Specific session ID (optional)
- * @param {string} options.since - Lookback duration (default: 3h)
+ * @param {string|null} options.since - Lookback duration (default: 3h; null = no lookback limit)
  * @param {string[]} options.slugs - Allowed project slugs (REQUIRED for filtering)
  * @param {number} options.limit - Max sessions to return
+ * @param {string|null} options.status - Session status to select (default: cleaned; null = any not yet extracted)
+ * @param {string} options.belowVersion - Only sessions extracted by an older version (re-extract)
+ * @param {Object} options.lookbacks - { slug: duration } per-project lookbacks overriding since
+ * @param {Object} options.after - Cursor { created_at, id }: only sessions after it
+ * @param {boolean} options.backingOff - Select the sessions still waiting out a retry backoff instead
  */
 async function selectSessions(options = {}) {
   const {
     sessionId,
     since = '3h',  // Default 3 hour chunks
     slugs = [],
-    limit = 20
+    limit = 20,
+    status = 'cleaned',
+    belowVersion = null,
+    lookbacks = {},
+    after = null,
+    backingOff = false
   } = options;
 
   try {
     // If specific session requested
     if (sessionId) {
-      const { data, error } = await db.from('dev_ai_sessions')
-        .select('*')
-        .eq('id', sessionId)
-        .single();
+      const { rows } = await query('SELECT * FROM dev_ai_sessions WHERE id::text = $1', [sessionId]);
+      return rows;
+    }
 
-      if (error) {
-        logger.error('Error fetching session', { sessionId, error: error.message });
-        return [];
-      }
+    const { rows } = await query(
+      `SELECT s.*
+       FROM dev_ai_sessions s
+       WHERE (($1::text IS NULL AND s.status NOT IN ('extracted', $2)) OR s.status = $1)
+         AND s.project_slug IS NOT NULL
+         AND s.project_slug <> ALL($3::text[])
+         AND (CASE WHEN cardinality($4::text[]) = 0
+               THEN ($5::timestamptz IS NULL OR s.created_at >= $5::timestamptz)
+               ELSE EXISTS (
+                 SELECT 1 FROM unnest($4::text[], $6::timestamptz[]) AS f(slug, cutoff)
+                 WHERE strpos(s.project_slug, f.slug) > 0 AND (f.cutoff IS NULL OR s.created_at >= f.cutoff))
+             END)
+         AND EXISTS (
+           SELECT 1 FROM dev_ai_clean_transcripts t
+           WHERE t.session_id = s.id AND COALESCE(t.clean_text, '') <> '')
+         AND ${RETRY_DUE_SQL} <> $12::boolean
+         AND ${claimFreeSql('$11')}
+         AND ($7::int[] IS NULL OR (string_to_array(
+               CASE WHEN s.extraction_metadata->>'extraction_version' ~ '^[0-9]+(\\.[0-9]+)*$'
+                 THEN s.extraction_metadata->>'extraction_version' ELSE '0' END || '.0.0', '.'
+             )::int[])[1:3] < $7::int[])
+         AND ($8::timestamptz IS NULL
+           OR (date_trunc('milliseconds', s.created_at), s.id::text) > ($8::timestamptz, $9::text))
+       ORDER BY date_trunc('milliseconds', s.created_at), s.id::text
+       LIMIT $10`,
+      [
+        status,
+        QUARANTINED,
+        IGNORED_SLUGS,
+        slugs,
+        cutoff(since),
+        slugCutoffs(slugs, since, lookbacks),
+        belowVersion ? versionParts(belowVersion) : null,
+        after ? new Date(after.created_at).toISOString() : null,
+        after ? String(after.id) : null,
+        limit,
+        INSTANCE_ID,
+        backingOff
+      ]
+    );
+
+    logger.info(`Selected ${rows.length} ${backingOff ? 'backing-off ' : ''}sessions for extraction`, {
+      status: status || 'any',
+      since: since || 'all',
+      slugs: slugs.slice(0, 3),
+      after: after ? after.created_at : null
+    });
 
-      return data ? [data] : [];
-    }
+    return rows;
 
-    // Calculate cutoff time
-    const cutoffMs = parseDuration(since);
-    const cutoffTime = new Date(Date.now() - cutoffMs).toISOString();
-
-    // Query sessions with status='cleaned' that have clean transcripts
-    const { data: sessions, error } = await db.from('dev_ai_sessions')
-      .select('*')
-      .eq('status', 'cleaned')  // Only cleaned sessions
-      .gte('created_at', cutoffTime)
-      .order('created_at', { ascending: false })
-      .limit(limit * 3);  // Fetch more, filter by slug after
-
-    if (error) {
-      logger.error('Error selecting sessions', { error: error.message });
-      return [];
-    }
+  } catch (err) {
+    metrics.dbErrors.inc({ operation: 'select_sessions' });
+    logger.error('Error in selectSessions', { error: err.message });
+    return [];
+  }
+}
 
-    if (!sessions || sessions.length === 0) {
-      logger.info('No cleaned sessions found', { since });
-      return [];
-    }
+function cursorFile() {
+  return process.env.JASON_CURSOR_FILE || DEFAULT_CURSOR_FILE;
+}
 
-    // Filter by slug (TRUTH GATE - this is the primary filter)
-    let filtered = sessions;
-    if (slugs.length > 0) {
-      filtered = sessions.filter(s => {
-        const sessionSlug = s.project_slug || '';
-        if (!sessionSlug) return false;
-        return slugs.some(slug => sessionSlug.includes(slug));
-      });
-    } else {
-      // No slugs provided - filter out null/unassigned slugs
-      filtered = sessions.filter(s => {
-        const sessionSlug = s.project_slug || '';
-        return sessionSlug && sessionSlug !== 'unassigned' && sessionSlug !== 'terminal';
-      });
+function readCursors() {
+  try {
+    return JSON.parse(fs.readFileSync(cursorFile(), 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('Could not read selection cursor - starting from the oldest session', { error: err.message });
     }
+    return {};
+  }
+}
 
-    // Verify each session has a clean transcript
-    const validSessions = [];
-    for (const session of filtered) {
-      const { data: cleanTranscript } = await db.from('dev_ai_clean_transcripts')
-        .select('id')
-        .eq('session_id', session.id)
-        .single();
-
-      if (cleanTranscript) {
-        validSessions.push(session);
-      }
-    }
+function writeCursors(cursors) {
+  fs.mkdirSync(path.dirname(cursorFile()), { recursive: true });
+  fs.writeFileSync(cursorFile(), JSON.stringify(cursors, null, 2));
+}
 
-    // Apply limit after filtering
-    const result = validSessions.slice(0, limit);
+/**
+ * Cursor key - one cursor per status + slug set, so a narrower manual run
+ * never skips sessions for the scheduled run
+ */
+function cursorKey({ status = 'cleaned', slugs = [] } = {}) {
+  return `${status || 'any'}:${[...slugs].sort().join(',')}`;
+}
 
-    logger.info(`Selected ${result.length} sessions for extraction`, {
-      total: sessions.length,
-      afterSlugFilter: filtered.length,
-      withCleanTranscript: result.length,
-      since,
-      slugs: slugs.slice(0, 3)
-    });
+/**
+ * @returns {Object|null} { created_at, id } of the last handled session
+ */
+function loadCursor(key) {
+  return readCursors()[key] || null;
+}
+
+/**
+ * True if session a sorts before session b in selection order (created_at ms, then id)
+ */
+function sortsBefore(a, b) {
+  const aTime = Math.floor(new Date(a.created_at).getTime());
+  const bTime = Math.floor(new Date(b.created_at).getTime());
+  return aTime !== bTime ? aTime < bTime : String(a.id) < String(b.id);
+}
 
-    return result;
+/**
+ * Move the cursor past a completed session
+ * Callers stop at the first failed, claimed-elsewhere or backing-off session so it's selected again
+ */
+function saveCursor(key, session) {
+  try {
+    const cursors = readCursors();
+    cursors[key] = {
+      created_at: new Date(session.created_at).toISOString(),
+      id: String(session.id),
+      updated_at: new Date().toISOString()
+    };
+    writeCursors(cursors);
+  } catch (err) {
+    logger.error('Could not save selection cursor', { key, error: err.message });
+  }
+}
 
+/**
+ * Start the next run from the oldest eligible session again
+ */
+function resetCursor(key) {
+  try {
+    const cursors = readCursors();
+    if (!cursors[key]) return;
+    delete cursors[key];
+    writeCursors(cursors);
   } catch (err) {
-    logger.error('Error in selectSessions', { error: err.message });
-    return [];
+    logger.error('Could not reset selection cursor', { key, error: err.message });
   }
 }
 
-module.exports = { selectSessions, parseDuration };
+module.exports = { selectSessions, cursorKey, loadCursor, saveCursor, resetCursor, sortsBefore, parseDuration };
@@ -0,0 +1,195 @@
+/**
+ * Deterministic session summary for Work Log items - NO LLM
+ *
+ * Built from the transcript's turn structure and Jen's file_refs:
+ * - turn counts by speaker
+ * - files touched (file_refs)
+ * - commands run ($ lines, Bash(...) calls, shell fences)
+ * - errors encountered
+ * - start/end time and active duration (from timestamps in the transcript)
+ * - main topics by keyword frequency in user turns
+ */
+
+const { parseTurns } = require('./parseTurns');
+const { normalizeText, STOPWORDS } = require('../lib/textSimilarity');
+
+const MAX_LIST = 15;
+const MAX_TOPICS = 5;
+
+// Gaps longer than this between timestamps count as idle time
+const IDLE_GAP_MS = 10 * 60 * 1000;
+
+const TIMESTAMP = /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?\b/g;
+const COMMAND_PATTERNS = [
+  /^\s*\$\s+(.+)$/,
+  /\bBash\((.+)\)\s*$/
+];
+const SHELL_FENCE = /^\s*```(?:bash|sh|shell|zsh|console)\s*$/;
+const ERROR_LINE = /(?:\b[A-Z]\w*(?:Error|Exception)\b|\bError:|\bERR!|\bTraceback\b|\bFATAL\b|\bFAILED\b)/;
+
+// Words that show up in every session and say nothing about the topic
+const TRANSCRIPT_WORDS = new Set([
+  'user', 'assistant', 'tool', 'please', 'thanks', 'lets', 'like', 'just',
+  'want', 'need', 'make', 'also', 'what', 'does', 'there', 'here', 'file',
+  'code', 'then', 'okay', 'yeah', 'sure', 'them', 'they', 'your', 'would',
+  'could', 'about', 'which', 'where', 'work', 'working', 'right', 'still'
+]);
+
+function uniquePush(list, value) {
+  if (value && !list.includes(value) && list.length < MAX_LIST) {
+    list.push(value);
+  }
+}
+
+function fileRefPath(ref) {
+  if (!ref) return null;
+  if (typeof ref === 'string') return ref;
+  return ref.path || ref.file || ref.file_path || null;
+}
+
+/**
+ * Start/end and active duration from timestamps in the transcript,
+ * falling back to session row times
+ */
+function sessionTiming(content, session) {
+  const times = (content.match(TIMESTAMP) || [])
+    .map(t => new Date(t.replace(' ', 'T')).getTime())
+    .filter(t => !Number.isNaN(t))
+    .sort((a, b) => a - b);
+
+  if (times.length >= 2) {
+    let activeMs = 0;
+    for (let i = 1; i < times.length; i++) {
+      const gap = times[i] - times[i - 1];
+      if (gap <= IDLE_GAP_MS) activeMs += gap;
+    }
+    return {
+      started_at: new Date(times[0]).toISOString(),
+      ended_at: new Date(times[times.length - 1]).toISOString(),
+      active_minutes: Math.round(activeMs / 60000),
+      timing_source: 'transcript'
+    };
+  }
+
+  const start = session.started_at || session.created_at || null;
+  const end = session.ended_at || session.updated_at || null;
+  const spanMs = start && end ? new Date(end) - new Date(start) : NaN;
+  return {
+    started_at: start ? new Date(start).toISOString() : null,
+    ended_at: end ? new Date(end).toISOString() : null,
+    active_minutes: Number.isNaN(spanMs) || spanMs < 0 ? null : Math.round(spanMs / 60000),
+    timing_source: 'session'
+  };
+}
+
+/**
+ * Top keywords from user turns
+ */
+function topTopics(rawLines, lineInfo) {
+  const counts = new Map();
+
+  rawLines.forEach((line, i) => {
+    const info = lineInfo[i];
+    if (info.speaker !== 'user' || info.inCode) return;
+
+    const words = normalizeText(line.replace(/^(?:USER|HUMAN):/, '')).split(' ');
+    for (const word of words) {
+      if (word.length < 4 || /^\d+$/.test(word)) continue;
+      if (STOPWORDS.has(word) || TRANSCRIPT_WORDS.has(word)) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  });
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_TOPICS)
+    .map(([word, count]) => ({ word, count }));
+}
+
+/**
+ * Summarize a session transcript
+ * @param {string} content - Clean transcript text
+ * @param {Object} options
+ * @param {Array} options.fileRefs - file_refs from dev_ai_clean_transcripts
+ * @param {Object} options.session - Session row
+ * @returns {Object} Structured summary (stored as Work Log metadata)
+ */
+function summarizeSession(content, { fileRefs = [], session = {} } = {}) {
+  const rawLines = content.split('\n');
+  const { turns, lines: lineInfo } = parseTurns(content);
+
+  const turnCounts = { total: turns.length, user: 0, assistant: 0, tool: 0 };
+  turns.forEach(t => {
+    if (turnCounts[t.speaker] !== undefined) turnCounts[t.speaker]++;
+  });
+
+  const files = [];
+  (fileRefs || []).forEach(ref => uniquePush(files, fileRefPath(ref)));
+
+  const commands = [];
+  const errors = [];
+  let inShellFence = false;
+
+  rawLines.forEach((line, i) => {
+    if (inShellFence) {
+      if (/^\s*```/.test(line)) inShellFence = false;
+      else uniquePush(commands, line.trim());
+      return;
+    }
+    if (SHELL_FENCE.test(line)) {
+      inShellFence = true;
+      return;
+    }
+
+    for (const pattern of COMMAND_PATTERNS) {
+      const match = line.match(pattern);
+      if (match) uniquePush(commands, match[1].trim().substring(0, 200));
+    }
+
+    // Errors only count from tool output and code - not from people talking about errors
+    const info = lineInfo[i];
+    if ((info.speaker === 'tool' || info.inCode) && ERROR_LINE.test(line)) {
+      uniquePush(errors, line.trim().substring(0, 200));
+    }
+  });
+
+  return {
+    turns: turnCounts,
+    ...sessionTiming(content, session),
+    files,
+    commands,
+    errors,
+    topics: topTopics(rawLines, lineInfo)
+  };
+}
+
+/**
+ * Readable Work Log content from a summary
+ */
+function formatSummary(slug, summary) {
+  const { turns } = summary;
+  const out = [
+    `Development session on ${slug}. ${turns.total} conversation turns (${turns.user} user, ${turns.assistant} assistant, ${turns.tool} tool).`
+  ];
+
+  if (summary.started_at) {
+    const span = summary.ended_at ? `${summary.started_at} - ${summary.ended_at}` : `started ${summary.started_at}`;
+    const active = summary.active_minutes !== null ? ` (active ${summary.active_minutes}m)` : '';
+    out.push(`Time: ${span}${active}`);
+  }
+  if (summary.topics.length > 0) {
+    out.push(`Topics: ${summary.topics.map(t => t.word).join(', ')}`);
+  }
+
+  const section = (label, list) => {
+    if (list.length === 0) return;
+    out.push('', `${label} (${list.length}):`, ...list.map(v => `- ${v}`));
+  };
+  section('Files touched', summary.files);
+  section('Commands run', summary.commands);
+  section('Errors encountered', summary.errors);
+
+  return out.join('\n');
+}
+
+module.exports = { summarizeSession, formatSummary };
@@ -70,12 +70,47 @@ const baseItemSchema = {
         properties: {
           session_id: { type: 'string' },
           excerpt: { type: 'string', maxLength: 500 },
-          location: { type: 'string' }
+          location: { type: 'string' },
+          speaker: { type: 'string', enum: ['user', 'assistant', 'tool', 'system', 'unknown'] },
+          turn: { type: ['integer', 'null'], minimum: 0 },
+          line: { type: 'integer', minimum: 1 },
+          char_start: { type: 'integer', minimum: 0 },
+          char_end: { type: 'integer', minimum: 0 },
+          context: { type: 'string', maxLength: 2000 }
         }
       }
     },
+    tags: {
+      type: 'array',
+      items: { type: 'string', minLength: 1, maxLength: 100 }
+    },
     metadata: {
-      type: 'object'
+      type: 'object',
+      properties: {
+        assignees: {
+          type: 'array',
+          items: { type: 'string', pattern: '^[A-Za-z0-9_](?:[\\w.-]*[A-Za-z0-9_])?$' }
+        },
+        due: {
+          type: 'object',
+          required: ['date'],
+          properties: {
+            date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+            text: { type: 'string' }
+          }
+        },
+        labels: {
+          type: 'array',
+          items: { type: 'string', pattern: '^[a-z][\\w.-]*$' }
+        },
+        priority_signal: {
+          type: 'object',
+          required: ['source'],
+          properties: {
+            source: { type: 'string', enum: ['annotation', 'keyword', 'rule'] }
+          }
+        }
+      }
     }
   }
 };
@@ -0,0 +1,10 @@
+/**
+ * Extractor version
+ * Bump EXTRACTION_VERSION whenever extraction output changes (rules, parsers,
+ * worklog format) so `jason reextract --below-version` can find stale sessions
+ */
+
+const EXTRACTION_VERSION = '2.3.2';
+const EXTRACTOR = `jason-v${EXTRACTION_VERSION.split('.')[0]}`;
+
+module.exports = { EXTRACTION_VERSION, EXTRACTOR };
@@ -0,0 +1,185 @@
+/**
+ * Control API on the health server - trigger and inspect extraction runs
+ *
+ *   POST /extract               { session, since, slugs, dryRun, limit } -> 202 { run }
+ *   GET  /runs                  recent runs
+ *   GET  /runs/:id              one run with progress and stats
+ *   POST /runs/:id/cancel       stop after the current session
+ *
+ * Every route needs `Authorization: Bearer <JASON_API_TOKEN>`; without a
+ * configured token the API is disabled. Runs go through the same pipeline as
+ * `jason extract` (see RunManager) and only one can be active at a time.
+ */
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const { Logger } = require('./logger');
+const { RunConflictError } = require('./runManager');
+
+const logger = new Logger('Jason:ControlAPI');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const extractRequestSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    session: { type: 'string', pattern: '^[0-9A-Za-z-]{1,64}$' },
+    since: { type: 'string', pattern: '^\\d+(m|h|d)$' },
+    slugs: {
+      oneOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 }
+      ]
+    },
+    dryRun: { type: 'boolean' },
+    limit: { type: 'integer', minimum: 1, maximum: 500 }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateExtractRequest = ajv.compile(extractRequestSchema);
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function tokenMatches(header, token) {
+  const match = String(header || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      if (!text) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * API request body -> CLI-shaped extract options
+ */
+function toExtractOptions(body, defaults) {
+  const slugs = Array.isArray(body.slugs) ? body.slugs.join(',') : body.slugs;
+  return {
+    ...defaults,
+    scheduled: false,
+    session: body.session,
+    since: body.since || defaults.since,
+    slugs: slugs || defaults.slugs,
+    dryRun: !!body.dryRun,
+    limit: String(body.limit || defaults.limit)
+  };
+}
+
+/**
+ * Handle a control API request
+ * @param {Object} req - http request
+ * @param {Object} res - http response
+ * @param {Object} options
+ * @param {Function} options.getRuns - Returns the RunManager, or null if runs can't be started here
+ * @param {Object} options.defaults - Default extract options (the running command's options)
+ * @param {string} options.token - Bearer token (default: JASON_API_TOKEN)
+ * @returns {boolean} True if the request was a control API route
+ */
+async function handleControlRequest(req, res, { getRuns, defaults = {}, token = process.env.JASON_API_TOKEN } = {}) {
+  const url = new URL(req.url, 'http://localhost');
+  const path = url.pathname;
+  const runMatch = path.match(/^\/runs\/([0-9a-f-]{36})(\/cancel)?$/);
+
+  const isControlRoute = path === '/extract' || path === '/runs' || runMatch;
+  if (!isControlRoute) return false;
+
+  if (!token) {
+    sendJson(res, 503, { error: 'Control API disabled - set JASON_API_TOKEN' });
+    return true;
+  }
+  if (!tokenMatches(req.headers.authorization, token)) {
+    sendJson(res, 401, { error: 'Unauthorized' }, { 'WWW-Authenticate': 'Bearer' });
+    return true;
+  }
+
+  const runs = getRuns ? getRuns() : null;
+  if (!runs) {
+    sendJson(res, 503, { error: 'Runs can only be started while Jason runs in scheduled mode' });
+    return true;
+  }
+
+  try {
+    if (path === '/extract') {
+      if (req.method !== 'POST') return sendMethodNotAllowed(res, 'POST');
+
+      const body = await readJsonBody(req);
+      if (!validateExtractRequest(body)) {
+        sendJson(res, 400, {
+          error: 'Invalid request',
+          details: validateExtractRequest.errors.map(e => `${e.instancePath || '/'} ${e.message}`)
+        });
+        return true;
+      }
+
+      const { run } = runs.start(toExtractOptions(body, defaults), 'api');
+      logger.info('Run started via API', { runId: run.id, dryRun: run.options.dryRun });
+      sendJson(res, 202, { run }, { Location: `/runs/${run.id}` });
+      return true;
+    }
+
+    if (path === '/runs') {
+      if (req.method !== 'GET') return sendMethodNotAllowed(res, 'GET');
+      sendJson(res, 200, { runs: runs.list() });
+      return true;
+    }
+
+    const [, id, cancel] = runMatch;
+    if (cancel) {
+      if (req.method !== 'POST') return sendMethodNotAllowed(res, 'POST');
+      const run = runs.cancel(id);
+      sendJson(res, run ? 202 : 404, run ? { run } : { error: 'Run not found' });
+      return true;
+    }
+
+    if (req.method !== 'GET') return sendMethodNotAllowed(res, 'GET');
+    const run = runs.get(id);
+    sendJson(res, run ? 200 : 404, run ? { run } : { error: 'Run not found' });
+    return true;
+
+  } catch (err) {
+    if (err instanceof RunConflictError) {
+      sendJson(res, 409, { error: err.message, activeRunId: err.activeRunId });
+      return true;
+    }
+    logger.error('Control API request failed', { path, error: err.message });
+    sendJson(res, 400, { error: err.message });
+    return true;
+  }
+}
+
+function sendMethodNotAllowed(res, allowed) {
+  sendJson(res, 405, { error: 'Method not allowed' }, { Allow: allowed });
+  return true;
+}
+
+module.exports = { handleControlRequest, toExtractOptions };
@@ -0,0 +1,114 @@
+/**
+ * Minimal cron expression parser
+ * Supports the standard 5 fields: minute hour day-of-month month day-of-week
+ *
+ * Field syntax: *  5  1-5  *\/15  1-30/5  1,15,30
+ * Day-of-week: 0-7 (0 and 7 = Sunday)
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up looking for a match after one year of minutes
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+function parseField(expr, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field: "${expr}"`);
+    }
+
+    const [, range, stepStr] = match;
+    const step = stepStr ? parseInt(stepStr, 10) : 1;
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [a, b] = range.split('-').map(n => parseInt(n, 10));
+      start = a;
+      end = b === undefined ? (stepStr ? max : a) : b;
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} field out of range: "${expr}"`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. '*\/30 * * * *'
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+
+  // Sunday can be written as 0 or 7
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+
+  return schedule;
+}
+
+function matchesDay(schedule, date) {
+  const domMatch = schedule.dayOfMonth.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getDay());
+
+  // Standard cron: if both day fields are restricted, either may match
+  if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Find the next time (after `from`) that matches the schedule
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} from - Start point (exclusive)
+ * @returns {Date|null}
+ */
+function nextCronDate(schedule, from = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+    if (parsed.month.has(date.getMonth() + 1) &&
+        matchesDay(parsed, date) &&
+        parsed.hour.has(date.getHours()) &&
+        parsed.minute.has(date.getMinutes())) {
+      return date;
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, nextCronDate };
@@ -1,6 +1,17 @@
 /**
  * Database client for Jason
  * Uses shared PostgreSQL client
+ * Loaded on first use so DB-free paths (extract --file) never require it
  */
-const db = require('../../../shared/db');
-module.exports = db;
+let db = null;
+
+function getDb() {
+  if (!db) {
+    db = require('../../../shared/db');
+  }
+  return db;
+}
+
+module.exports = new Proxy({}, {
+  get: (_, prop) => getDb()[prop]
+});
@@ -0,0 +1,48 @@
+/**
+ * Duration strings used across Jason's CLI and config
+ * e.g. '30s', '30m', '1h', '3h', '24h', '7d'
+ */
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const DURATION_PATTERN = /^(\d+)(s|m|h|d)$/;
+
+/**
+ * Parse duration string to milliseconds
+ * @param {string} duration - e.g., '30m', '1h', '3h', '24h'
+ * @param {number} fallbackMs - Returned when the string doesn't parse (default 3 hours)
+ */
+function parseDuration(duration, fallbackMs = 3 * 60 * 60 * 1000) {
+  const match = String(duration || '').match(DURATION_PATTERN);
+  if (!match) return fallbackMs;
+
+  const [, value, unit] = match;
+  return parseInt(value, 10) * UNIT_MS[unit];
+}
+
+/**
+ * Parse a user-supplied duration, rejecting anything that doesn't parse
+ * @param {string} duration
+ * @param {string} name - Option name for the error (e.g. '--interval')
+ * @param {Object} options
+ * @param {boolean} options.allowZero - Accept 0 (default false)
+ * @throws {Error} If the duration is invalid
+ */
+function requireDuration(duration, name, { allowZero = false } = {}) {
+  const match = String(duration || '').match(DURATION_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid ${name} "${duration}" - expected a number and unit, e.g. 30s, 15m, 1h or 7d`);
+  }
+  const ms = parseDuration(duration);
+  if (ms === 0 && !allowZero) {
+    throw new Error(`Invalid ${name} "${duration}" - must be greater than zero`);
+  }
+  return ms;
+}
+
+module.exports = { parseDuration, requireDuration };
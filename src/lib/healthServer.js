@@ -1,24 +1,29 @@
 /**
  * Jason Health Server
  * Exposes /health endpoint for dashboard monitoring
+ * and /metrics in Prometheus text format (see metrics.js)
+ * Run control routes (/extract, /runs) are handled by controlApi.js
  */
 
 const http = require('http');
+const { renderMetrics } = require('./metrics');
+const { handleControlRequest } = require('./controlApi');
 
 /**
  * Start a minimal health check server
  * @param {Object} options
  * @param {number} options.port - Port to listen on
  * @param {Function} options.getStatus - Function that returns current status
+ * @param {Object} options.control - Control API options (see handleControlRequest)
  */
-function startHealthServer({ port, getStatus }) {
+function startHealthServer({ port, getStatus, control = {} }) {
   if (!port) return null;
 
-  const server = http.createServer((req, res) => {
-    // CORS headers for dashboard access
+  const server = http.createServer(async (req, res) => {
+    // CORS headers for dashboard access (control routes still require a bearer token)
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     if (req.method === 'OPTIONS') {
       res.writeHead(204);
@@ -41,6 +46,12 @@ function startHealthServer({ port, getStatus }) {
       return;
     }
 
+    if (req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(renderMetrics());
+      return;
+    }
+
     if (req.url === '/status') {
       const status = getStatus ? getStatus() : {};
       res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -48,12 +59,16 @@ function startHealthServer({ port, getStatus }) {
       return;
     }
 
+    if (await handleControlRequest(req, res, control)) {
+      return;
+    }
+
     res.writeHead(404, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({ error: 'Not found' }));
   });
 
   server.listen(port, '0.0.0.0', () => {
-    console.log(`[Jason] Health server listening on :${port} (/health)`);
+    console.log(`[Jason] Health server listening on :${port} (/health, /metrics)`);
   });
 
   server.on('error', (err) => {
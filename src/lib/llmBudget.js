@@ -0,0 +1,298 @@
+/**
+ * Token and cost budget for LLM extraction
+ *
+ * Two windows, both hard limits:
+ * - per run  (reset by beginRun() at the start of every extraction run)
+ * - per day  (UTC day, persisted to JASON_LLM_USAGE_FILE so restarts don't reset it)
+ *
+ * Callers reserve an estimate before a request (reserve) and reconcile it with
+ * the actual usage afterwards (record), or give it back if the request failed
+ * (release). Over budget = fall back to rules.
+ *
+ * Reservations count against both windows while the request is in flight, so
+ * parallel workers can't all pass the check at once. The day window lives in the
+ * usage file and every reserve/record re-reads it under a lock file, so every
+ * Jason process on the host (scheduled + manual runs) shares one day budget.
+ * Reservations left by a crashed process expire after RESERVATION_TTL_MS.
+ *
+ * The lock is waited for asynchronously (never blocks the event loop). Usage
+ * that couldn't be written because the lock or the file was unavailable is kept
+ * in memory and written by the next update; until then reserve() refuses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Jason:LLMBudget');
+
+const DEFAULT_USAGE_FILE = path.join(__dirname, '../../logs/llm-usage.json');
+
+const LIMITS = {
+  runTokens: Number(process.env.JASON_LLM_RUN_TOKENS) || 200000,
+  dayTokens: Number(process.env.JASON_LLM_DAY_TOKENS) || 2000000,
+  runCost: Number(process.env.JASON_LLM_RUN_COST) || 1,
+  dayCost: Number(process.env.JASON_LLM_DAY_COST) || 10
+};
+
+// USD per million tokens
+const PRICING = {
+  input: Number(process.env.JASON_LLM_INPUT_COST_PER_MTOK) || 1,
+  output: Number(process.env.JASON_LLM_OUTPUT_COST_PER_MTOK) || 5
+};
+
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 20;
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+function costOf(inputTokens, outputTokens) {
+  return (inputTokens * PRICING.input + outputTokens * PRICING.output) / 1e6;
+}
+
+function emptyDay() {
+  return { date: today(), tokens: 0, cost: 0, requests: 0, reservations: {} };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+let reservationSeq = 0;
+
+class LlmBudget {
+  /**
+   * @param {Object} options
+   * @param {Object} options.limits - { runTokens, dayTokens, runCost, dayCost }
+   * @param {string|null} options.usageFile - Where daily usage persists (null = memory only)
+   */
+  constructor({ limits = LIMITS, usageFile = process.env.JASON_LLM_USAGE_FILE || DEFAULT_USAGE_FILE } = {}) {
+    this.limits = { ...LIMITS, ...limits };
+    this.usageFile = usageFile;
+    this.run = { tokens: 0, cost: 0, reservedTokens: 0, reservedCost: 0 };
+    this.day = this.usageFile ? this._readDay() : emptyDay();
+    // Day updates not written yet (lock or file unavailable): day => void, applied in order
+    this.unrecorded = [];
+    // Updates to the usage file run one at a time within this process
+    this.updating = Promise.resolve();
+  }
+
+  beginRun() {
+    this.run = { tokens: 0, cost: 0, reservedTokens: 0, reservedCost: 0 };
+  }
+
+  /**
+   * Reserve a request's estimated size if it fits both windows
+   * @param {number} inputTokens - Estimated prompt tokens
+   * @param {number} outputTokens - Max output tokens
+   * @returns {Promise<Object|null>} Reservation to pass to record/release, null if over
+   *   budget or earlier usage is still unrecorded
+   */
+  async reserve(inputTokens, outputTokens) {
+    const tokens = inputTokens + outputTokens;
+    const cost = costOf(inputTokens, outputTokens);
+
+    if (this.run.tokens + this.run.reservedTokens + tokens > this.limits.runTokens ||
+        this.run.cost + this.run.reservedCost + cost > this.limits.runCost) {
+      return null;
+    }
+
+    // Held in the run window right away, so parallel callers waiting for the lock see it
+    const reservation = { id: `${process.pid}-${++reservationSeq}`, tokens, cost, run: this.run };
+    this.run.reservedTokens += tokens;
+    this.run.reservedCost += cost;
+
+    const reserved = await this._updateDay(day => {
+      const held = Object.values(day.reservations);
+      const heldTokens = held.reduce((sum, r) => sum + r.tokens, 0);
+      const heldCost = held.reduce((sum, r) => sum + r.cost, 0);
+      if (day.tokens + heldTokens + tokens > this.limits.dayTokens ||
+          day.cost + heldCost + cost > this.limits.dayCost) {
+        return false;
+      }
+      day.reservations[reservation.id] = { tokens, cost, at: Date.now() };
+      return true;
+    }, { keepOnFailure: false });
+
+    if (!reserved) {
+      this._releaseRun(reservation);
+      return null;
+    }
+    return reservation;
+  }
+
+  /**
+   * Replace a reservation with the actual usage from an API response
+   * Never lost: if the usage file can't be updated the usage waits in memory
+   */
+  async record(reservation, inputTokens, outputTokens) {
+    const tokens = inputTokens + outputTokens;
+    const cost = costOf(inputTokens, outputTokens);
+
+    this._releaseRun(reservation);
+    // A run that began while this request was in flight doesn't pay for it
+    if (reservation.run === this.run) {
+      this.run.tokens += tokens;
+      this.run.cost += cost;
+    }
+
+    await this._updateDay(day => {
+      delete day.reservations[reservation.id];
+      day.tokens += tokens;
+      day.cost += cost;
+      day.requests++;
+    });
+  }
+
+  /**
+   * Give back a reservation whose request never completed
+   */
+  async release(reservation) {
+    this._releaseRun(reservation);
+    await this._updateDay(day => {
+      delete day.reservations[reservation.id];
+    });
+  }
+
+  getStatus() {
+    const day = this.usageFile ? this._readDay() : this._rollDay(this.day);
+    this.unrecorded.forEach(update => update(day));
+    const held = Object.values(day.reservations);
+    return {
+      run: { tokens: this.run.tokens, cost: Number(this.run.cost.toFixed(4)), reservedTokens: this.run.reservedTokens },
+      day: {
+        date: day.date,
+        tokens: day.tokens,
+        cost: Number(day.cost.toFixed(4)),
+        requests: day.requests,
+        reservedTokens: held.reduce((sum, r) => sum + r.tokens, 0),
+        unrecorded: this.unrecorded.length
+      },
+      limits: this.limits
+    };
+  }
+
+  _releaseRun(reservation) {
+    if (reservation.run !== this.run) return;
+    this.run.reservedTokens = Math.max(0, this.run.reservedTokens - reservation.tokens);
+    this.run.reservedCost = Math.max(0, this.run.reservedCost - reservation.cost);
+  }
+
+  /**
+   * New UTC day starts from zero; expired reservations are dropped
+   */
+  _rollDay(day) {
+    if (day.date !== today()) return emptyDay();
+    const cutoff = Date.now() - RESERVATION_TTL_MS;
+    for (const [id, reservation] of Object.entries(day.reservations)) {
+      if (reservation.at < cutoff) delete day.reservations[id];
+    }
+    return day;
+  }
+
+  /**
+   * Read-modify-write the day window (under the usage file lock), after
+   * writing any updates left over from earlier failures
+   * @param {Function} fn - day => result; mutates day
+   * @param {Object} options
+   * @param {boolean} options.keepOnFailure - Keep fn for the next update if this one fails
+   *   (usage that already happened); false = just fail (a reservation can be refused)
+   * @returns {Promise<*>} fn's result, or false if the usage file couldn't be updated
+   *   or older updates are still waiting
+   */
+  _updateDay(fn, { keepOnFailure = true } = {}) {
+    const update = this.updating.then(() => this._applyDay(fn, keepOnFailure));
+    this.updating = update.catch(() => {});
+    return update;
+  }
+
+  async _applyDay(fn, keepOnFailure) {
+    if (!this.usageFile) {
+      this.day = this._rollDay(this.day);
+      return fn(this.day);
+    }
+
+    let locked = false;
+    try {
+      await this._lock();
+      locked = true;
+      const day = this._readDay();
+      this.unrecorded.forEach(update => update(day));
+      const result = fn(day);
+      await fs.promises.writeFile(this.usageFile, JSON.stringify(day));
+      if (this.unrecorded.length > 0) {
+        logger.info('Recorded LLM usage left over from earlier updates', { updates: this.unrecorded.length });
+        this.unrecorded = [];
+      }
+      this.day = day;
+      return result;
+    } catch (err) {
+      if (keepOnFailure) this.unrecorded.push(fn);
+      logger.error('Could not update LLM usage file', {
+        file: this.usageFile,
+        error: err.message,
+        unrecorded: this.unrecorded.length
+      });
+      return false;
+    } finally {
+      if (locked) await this._unlock();
+    }
+  }
+
+  _readDay() {
+    if (!fs.existsSync(this.usageFile)) return emptyDay();
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+      return this._rollDay({ ...emptyDay(), ...saved, reservations: { ...saved.reservations } });
+    } catch (err) {
+      logger.warn('Could not read LLM usage file - starting from zero', { file: this.usageFile, error: err.message });
+      return emptyDay();
+    }
+  }
+
+  async _lock() {
+    const lockFile = `${this.usageFile}.lock`;
+    await fs.promises.mkdir(path.dirname(lockFile), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await fs.promises.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      // Left behind by a crashed process
+      try {
+        if (Date.now() - (await fs.promises.stat(lockFile)).mtimeMs > LOCK_STALE_MS) {
+          await fs.promises.unlink(lockFile);
+          continue;
+        }
+      } catch (err) {
+        // Released meanwhile - try again
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lockFile}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  async _unlock() {
+    try {
+      await fs.promises.unlink(`${this.usageFile}.lock`);
+    } catch (err) {
+      // Already gone
+    }
+  }
+}
+
+module.exports = { LlmBudget, costOf, LIMITS, PRICING };
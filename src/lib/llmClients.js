@@ -0,0 +1,97 @@
+/**
+ * LLM clients for optional extraction (JASON_EXTRACTOR)
+ *
+ * A client has:
+ *   name                                   recorded on every item it produces
+ *   complete({ system, prompt, maxTokens }) -> { text, usage: { input_tokens, output_tokens } }
+ *
+ * - claude  Anthropic Messages API (@anthropic-ai/sdk, ANTHROPIC_API_KEY)
+ * - stub    offline, no network: replies from JASON_LLM_STUB_FILE (JSON) or
+ *           turns "NOTE:" lines into Other items, so the whole path runs in tests
+ */
+
+const fs = require('fs');
+
+const DEFAULT_MODEL = 'claude-haiku-4-5';
+
+/**
+ * Claude-backed client
+ * @param {Object} options - { apiKey, model }
+ */
+function createClaudeClient({
+  apiKey = process.env.ANTHROPIC_API_KEY,
+  model = process.env.JASON_LLM_MODEL || DEFAULT_MODEL
+} = {}) {
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY is required for JASON_EXTRACTOR=claude');
+  }
+
+  // Loaded only when the Claude extractor is enabled
+  const { Anthropic } = require('@anthropic-ai/sdk');
+  const anthropic = new Anthropic({ apiKey });
+
+  return {
+    name: `claude:${model}`,
+    async complete({ system, prompt, maxTokens }) {
+      const response = await anthropic.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: [{ role: 'user', content: prompt }]
+      });
+
+      return {
+        text: response.content.filter(b => b.type === 'text').map(b => b.text).join(''),
+        usage: {
+          input_tokens: response.usage?.input_tokens || 0,
+          output_tokens: response.usage?.output_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Offline stub client - deterministic, free
+ * @param {Object} options - { file } canned JSON reply used for every chunk
+ */
+function createStubClient({ file = process.env.JASON_LLM_STUB_FILE } = {}) {
+  const canned = file ? fs.readFileSync(file, 'utf8') : null;
+
+  return {
+    name: 'stub',
+    async complete({ prompt }) {
+      const text = canned || JSON.stringify({
+        items: prompt.split('\n')
+          .map(line => line.match(/^\s*NOTE:\s*(.{10,})$/))
+          .filter(Boolean)
+          .map(m => ({ bucket: 'Other', title: m[1].trim(), content: m[1].trim(), excerpt: m[0].trim() }))
+      });
+
+      return {
+        text,
+        usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(text.length / 4) }
+      };
+    }
+  };
+}
+
+const CLIENTS = {
+  claude: createClaudeClient,
+  stub: createStubClient
+};
+
+/**
+ * Client for an extractor name, or null for 'rules'
+ * @throws {Error} Unknown extractor name
+ */
+function createLlmClient(name, options = {}) {
+  if (!name || name === 'rules') return null;
+  const factory = CLIENTS[name];
+  if (!factory) {
+    throw new Error(`Unknown extractor: ${name} (expected rules, ${Object.keys(CLIENTS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = { createLlmClient, createClaudeClient, createStubClient, DEFAULT_MODEL };
@@ -1,10 +1,16 @@
 /**
  * Jason's Logger
  * Rotating file logging with color console output
+ *
+ * withLogBuffer(fn) holds every line logged while fn runs (across modules and
+ * awaits) and writes them together when it finishes, so concurrent sessions
+ * don't interleave their output. Lines still buffered when the process exits
+ * are written then rather than lost.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const COLORS = {
   info: '\x1b[36m',
@@ -19,6 +25,14 @@ const LOG_DIR = path.join(__dirname, '../../logs');
 const MAX_LOG_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_LOG_FILES = 5;
 
+// Console output goes to stdout unless redirected (e.g. when stdout carries JSON results)
+let consoleStream = 'stdout';
+
+// Active line buffer for the current async context (see withLogBuffer)
+const logBuffer = new AsyncLocalStorage();
+// Every buffer not yet written - flushed on exit
+const openBuffers = new Set();
+
 // Ensure log directory exists
 if (!fs.existsSync(LOG_DIR)) {
   fs.mkdirSync(LOG_DIR, { recursive: true });
@@ -71,8 +85,18 @@ class Logger {
 
   _log(level, message, meta = {}) {
     const formatted = this._formatMessage(level, message, meta);
+    const buffer = logBuffer.getStore();
+    if (buffer) {
+      buffer.push({ logger: this, level, formatted });
+      return;
+    }
+    this._emit(level, formatted);
+  }
+
+  _emit(level, formatted) {
     const color = COLORS[level] || COLORS.reset;
-    console.log(`${color}${formatted}${COLORS.reset}`);
+    const write = consoleStream === 'stderr' ? console.error : console.log;
+    write(`${color}${formatted}${COLORS.reset}`);
     this._writeToFile(formatted);
   }
 
@@ -87,4 +111,37 @@ class Logger {
   }
 }
 
-module.exports = { Logger };
+/**
+ * Send console log output to 'stdout' (default) or 'stderr'
+ */
+function setConsoleStream(stream) {
+  consoleStream = stream === 'stderr' ? 'stderr' : 'stdout';
+}
+
+/**
+ * Write a buffer's lines in order and empty it
+ */
+function flushBuffer(lines) {
+  openBuffers.delete(lines);
+  lines.splice(0).forEach(({ logger, level, formatted }) => logger._emit(level, formatted));
+}
+
+/**
+ * Run fn with its log lines buffered, then write them in order as one block
+ * (also when fn throws)
+ * @param {Function} fn - async () => result
+ */
+async function withLogBuffer(fn) {
+  const lines = [];
+  openBuffers.add(lines);
+  try {
+    return await logBuffer.run(lines, fn);
+  } finally {
+    flushBuffer(lines);
+  }
+}
+
+// A crash or process.exit mid-session still writes what the session logged
+process.on('exit', () => openBuffers.forEach(flushBuffer));
+
+module.exports = { Logger, setConsoleStream, withLogBuffer };
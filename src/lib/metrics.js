@@ -0,0 +1,169 @@
+/**
+ * Prometheus metrics for Jason
+ * Minimal in-process registry rendered in text exposition format at /metrics
+ *
+ * Counters and histograms accept an optional labels object; label names are
+ * fixed per metric. All of Jason's metrics are declared at the bottom so the
+ * full set is visible in one place.
+ */
+
+const registry = [];
+
+// Seconds - sessions take ms..minutes, full runs up to tens of minutes
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, i) =>
+    `${name}="${String(values[i]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+  );
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (typeof labels === 'number') {
+      amount = labels;
+      labels = {};
+    }
+    if (!amount) return;
+    const key = labelKey(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+
+  render() {
+    const values = this.values.size > 0 || this.labelNames.length > 0
+      ? this.values
+      : new Map([[labelKey([]), 0]]);
+    return [...values].map(([key, value]) =>
+      `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`
+    );
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help, labelNames = []) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+  }
+
+  set(labels = {}, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.values.set(labelKey(this.labelNames, labels), value);
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observe(labels = {}, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    const key = labelKey(this.labelNames, labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; call the returned function to observe elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [];
+    for (const [key, series] of this.series) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Render every registered metric in Prometheus text format (version 0.0.4)
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Short, low-cardinality label for a validation error string
+ */
+function reasonLabel(error) {
+  return String(error || 'unknown').split('; ')[0].replace(/\d+/g, 'N').substring(0, 80);
+}
+
+const metrics = {
+  runs: register(new Counter('jason_runs_total', 'Extraction runs by result', ['status', 'dry_run'])),
+  sessionsScanned: register(new Counter('jason_sessions_scanned_total', 'Sessions selected for extraction')),
+  sessionsProcessed: register(new Counter('jason_sessions_processed_total', 'Sessions extracted successfully')),
+  sessionErrors: register(new Counter('jason_session_errors_total', 'Sessions that failed extraction')),
+  itemsExtracted: register(new Counter('jason_items_extracted_total', 'Valid items extracted, by bucket', ['bucket'])),
+  itemsInserted: register(new Counter('jason_items_inserted_total', 'Items inserted into staging')),
+  duplicates: register(new Counter('jason_duplicates_total', 'Items not inserted as duplicates (exact hash or near-duplicate merge)', ['kind'])),
+  validationRejections: register(new Counter('jason_validation_rejections_total', 'Items rejected by validation, by first reason', ['reason'])),
+  dbErrors: register(new Counter('jason_db_errors_total', 'Database errors, by operation', ['operation'])),
+  llmTokens: register(new Counter('jason_llm_tokens_total', 'LLM tokens used, by provider and kind', ['provider', 'kind'])),
+  llmFallbacks: register(new Counter('jason_llm_fallbacks_total', 'Sessions that fell back to rules-only extraction', ['reason'])),
+  sessionDuration: register(new Histogram('jason_session_duration_seconds', 'Time to process one session', ['status'])),
+  runDuration: register(new Histogram('jason_run_duration_seconds', 'Time for one extraction run', ['status'])),
+  lastRun: register(new Gauge('jason_last_run_timestamp_seconds', 'Unix time the last run finished')),
+  lastItem: register(new Gauge('jason_last_item_inserted_timestamp_seconds', 'Unix time an item was last inserted into staging'))
+};
+
+module.exports = { metrics, renderMetrics, reasonLabel, Counter, Gauge, Histogram, DURATION_BUCKETS };
@@ -0,0 +1,116 @@
+/**
+ * Direct PostgreSQL access for Jason
+ * Used where the shared query-builder client is not enough (transactions)
+ *
+ * One source of connection settings:
+ * - if the shared client (shared/db.js) exposes its pg pool, that pool is used
+ *   as-is - same connection, same settings, and closePool leaves it open
+ * - otherwise Jason opens its own pool from the PG_* env vars the shared client
+ *   reads (see .env.example), with the same defaults, and logs where it connects
+ */
+
+const { Pool } = require('pg');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Jason:PG');
+
+// Defaults of the shared client - keep in step with shared/db.js and .env.example
+const SHARED_DEFAULTS = {
+  host: 'localhost',
+  port: 9432,
+  database: 'kodiack_ai',
+  user: 'kodiack_admin'
+};
+
+let pool = null;
+let ownPool = false;
+
+/**
+ * Connection settings from the shared client's env vars
+ */
+function connectionSettings() {
+  return {
+    host: process.env.PG_HOST || SHARED_DEFAULTS.host,
+    port: Number(process.env.PG_PORT) || SHARED_DEFAULTS.port,
+    database: process.env.PG_DATABASE || SHARED_DEFAULTS.database,
+    user: process.env.PG_USER || SHARED_DEFAULTS.user,
+    password: process.env.PG_PASSWORD || undefined
+  };
+}
+
+/**
+ * The shared client's pg pool, or null if it has none (or isn't installed)
+ */
+function sharedPool() {
+  try {
+    const shared = require('./db').pool;
+    return shared && typeof shared.connect === 'function' ? shared : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function getPool() {
+  if (!pool) {
+    pool = sharedPool();
+    if (pool) {
+      ownPool = false;
+      logger.info('Using the shared client pool');
+      return pool;
+    }
+
+    const settings = connectionSettings();
+    pool = new Pool({ ...settings, max: Number(process.env.PG_POOL_MAX) || 5 });
+    ownPool = true;
+    logger.info('Opened PostgreSQL pool', { host: settings.host, port: settings.port, database: settings.database, user: settings.user });
+
+    pool.on('error', (err) => {
+      logger.error('Idle client error', { error: err.message });
+    });
+  }
+  return pool;
+}
+
+/**
+ * Run a query on the pool
+ * @returns {Promise<Object>} pg result ({ rows, rowCount })
+ */
+function query(text, params) {
+  return getPool().query(text, params);
+}
+
+/**
+ * Run fn(client) inside a transaction - COMMIT on success, ROLLBACK on throw
+ * @param {Function} fn - async (client) => result
+ */
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      logger.error('Rollback failed', { error: rollbackErr.message });
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close Jason's own pool (the shared client's pool is left to its owner)
+ */
+async function closePool() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    if (ownPool) await closing.end();
+  }
+}
+
+module.exports = { getPool, query, withTransaction, closePool };
@@ -1,16 +1,49 @@
 /**
  * Resolve project_slug to project UUID
- * Uses partial matching since session slugs may not exactly match project slugs
+ *
+ * Order:
+ * 1. Alias table (explicit session slug -> project slug), always wins
+ *    - file (default)  JASON_SLUG_ALIASES_FILE (JSON/YAML, default config/slug-aliases.json)
+ *    - db              dev_project_aliases (alias, project_slug) with JASON_SLUG_ALIASES_SOURCE=db
+ * 2. Exact slug match
+ * 3. Partial match: project slug starts with "<slug>-", then contains slug
+ *
+ * A partial match that hits more than one project is refused as ambiguous
+ * (e.g. "kodiack" vs kodiack-dashboard / kodiack-studio) - add an alias instead.
  */
 
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
 const db = require('./db');
 const { Logger } = require('./logger');
+const { metrics } = require('./metrics');
 
 const logger = new Logger('Jason:ResolveProject');
+const ajv = new Ajv({ allErrors: true });
+
+const DEFAULT_ALIASES_FILE = path.join(__dirname, '../../config/slug-aliases.json');
+const IGNORED_SLUGS = ['null', 'terminal', 'unassigned'];
+
+const validateAliasesFile = ajv.compile({
+  type: 'object',
+  required: ['aliases'],
+  additionalProperties: false,
+  properties: {
+    aliases: {
+      type: 'object',
+      propertyNames: { minLength: 1 },
+      additionalProperties: { type: 'string', minLength: 1 }
+    }
+  }
+});
 
 // Cache to avoid repeated lookups
 let projectCache = null;
 let cacheTime = 0;
+let aliasCache = null;
+let aliasTime = 0;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 async function loadProjects() {
@@ -21,8 +54,9 @@ async function loadProjects() {
 
   const { data, error } = await db.from('dev_projects')
     .select('id, slug, name');
-  
+
   if (error) {
+    metrics.dbErrors.inc({ operation: 'load_projects' });
     logger.error('Failed to load projects', { error: error.message });
     return [];
   }
@@ -33,31 +67,115 @@ async function loadProjects() {
 }
 
 /**
- * Resolve a session's project_slug to a project UUID
+ * Parse and validate an aliases document
+ * @returns {Object} { alias: projectSlug }
+ * @throws {Error} If the document is invalid
+ */
+function parseAliases(doc) {
+  if (!validateAliasesFile(doc)) {
+    const reasons = validateAliasesFile.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+    throw new Error(`Invalid slug aliases: ${reasons.join('; ')}`);
+  }
+  return doc.aliases;
+}
+
+function loadAliasesFile() {
+  const file = process.env.JASON_SLUG_ALIASES_FILE || DEFAULT_ALIASES_FILE;
+  if (!fs.existsSync(file)) return {};
+
+  const raw = fs.readFileSync(file, 'utf8');
+  return parseAliases(/\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw));
+}
+
+async function loadAliasesFromDb() {
+  const { data, error } = await db.from('dev_project_aliases')
+    .select('alias, project_slug');
+
+  if (error) {
+    metrics.dbErrors.inc({ operation: 'load_aliases' });
+    throw new Error(`Failed to load dev_project_aliases: ${error.message}`);
+  }
+  return Object.fromEntries((data || []).map(row => [row.alias, row.project_slug]));
+}
+
+/**
+ * Alias table, cached like the project list; a failed reload keeps the previous table
+ */
+async function loadAliases() {
+  const now = Date.now();
+  if (aliasCache && (now - aliasTime) < CACHE_TTL) {
+    return aliasCache;
+  }
+
+  try {
+    aliasCache = process.env.JASON_SLUG_ALIASES_SOURCE === 'db'
+      ? await loadAliasesFromDb()
+      : loadAliasesFile();
+  } catch (err) {
+    logger.error('Failed to load slug aliases', { error: err.message });
+    aliasCache = aliasCache || {};
+  }
+  aliasTime = now;
+  return aliasCache;
+}
+
+/**
+ * Explain how a slug resolves
  * @param {string} slug - The project_slug from session
- * @returns {string|null} - Project UUID or null if not found
+ * @returns {Object} { slug, projectId, project, method, alias, candidates }
+ *   method: ignored | alias | exact | prefix | contains | ambiguous | none
  */
-async function resolveProjectId(slug) {
-  if (!slug || slug === 'null' || slug === 'terminal' || slug === 'unassigned') {
-    return null;
+async function explainSlug(slug) {
+  const result = { slug, projectId: null, project: null, method: 'none', alias: null, candidates: [] };
+  if (!slug || IGNORED_SLUGS.includes(slug)) {
+    return { ...result, method: 'ignored' };
+  }
+
+  const [projects, aliases] = await Promise.all([loadProjects(), loadAliases()]);
+  const found = (project, method) => ({ ...result, projectId: project.id, project, method });
+
+  // Explicit alias - never falls through to partial matching
+  if (aliases[slug]) {
+    const target = projects.find(p => p.slug === aliases[slug]);
+    return target
+      ? { ...found(target, 'alias'), alias: aliases[slug] }
+      : { ...result, method: 'alias', alias: aliases[slug] };
   }
 
-  const projects = await loadProjects();
-  
-  // Try exact match first
-  let match = projects.find(p => p.slug === slug);
-  if (match) return match.id;
+  const exact = projects.find(p => p.slug === slug);
+  if (exact) return found(exact, 'exact');
 
-  // Try partial match (slug starts with or contains)
-  match = projects.find(p => p.slug && p.slug.startsWith(slug + '-'));
-  if (match) return match.id;
+  const partials = [
+    ['prefix', projects.filter(p => p.slug && p.slug.startsWith(slug + '-'))],
+    ['contains', projects.filter(p => p.slug && p.slug.includes(slug))]
+  ];
+  for (const [method, matches] of partials) {
+    if (matches.length === 1) return found(matches[0], method);
+    if (matches.length > 1) {
+      return { ...result, method: 'ambiguous', candidates: matches.map(p => p.slug) };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolve a session's project_slug to a project UUID
+ * @param {string} slug - The project_slug from session
+ * @returns {string|null} - Project UUID or null if not found / ambiguous
+ */
+async function resolveProjectId(slug) {
+  const resolution = await explainSlug(slug);
 
-  // Try contains match
-  match = projects.find(p => p.slug && p.slug.includes(slug));
-  if (match) return match.id;
+  if (resolution.method === 'ambiguous') {
+    logger.warn('Ambiguous project slug - refusing partial match', { slug, candidates: resolution.candidates });
+  } else if (resolution.method === 'alias' && !resolution.projectId) {
+    logger.error('Slug alias points at an unknown project', { slug, alias: resolution.alias });
+  } else if (resolution.method === 'none') {
+    logger.warn('Could not resolve project slug', { slug });
+  }
 
-  logger.warn('Could not resolve project slug', { slug });
-  return null;
+  return resolution.projectId;
 }
 
-module.exports = { resolveProjectId };
+module.exports = { resolveProjectId, explainSlug, parseAliases, DEFAULT_ALIASES_FILE };
@@ -0,0 +1,145 @@
+/**
+ * Tracks extraction runs started by the scheduler or the control API
+ *
+ * - One run at a time: start() throws RunConflictError while a run is active
+ * - Each run gets an id, live progress, and an AbortController for cancel
+ * - The last MAX_RUNS runs are kept in memory for GET /runs/:id
+ */
+
+const crypto = require('crypto');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Jason:Runs');
+
+const MAX_RUNS = 20;
+
+class RunConflictError extends Error {
+  constructor(activeRun) {
+    super(`Run ${activeRun.id} is already active`);
+    this.name = 'RunConflictError';
+    this.activeRunId = activeRun.id;
+  }
+}
+
+class RunManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.runTask - async (options, { signal, onProgress }) => { stats, error }
+   */
+  constructor({ runTask }) {
+    if (typeof runTask !== 'function') {
+      throw new Error('RunManager requires a runTask function');
+    }
+    this.runTask = runTask;
+    this.runs = new Map();
+    this.active = null;
+  }
+
+  isActive() {
+    return this.active !== null;
+  }
+
+  /**
+   * Record of the active run, or null
+   */
+  getActive() {
+    return this.active ? this.active.record : null;
+  }
+
+  /**
+   * Start a run
+   * @param {Object} options - Extraction options (same shape as the CLI)
+   * @param {string} trigger - 'scheduled' | 'api'
+   * @returns {Object} { run, done } - done resolves when the run finishes
+   * @throws {RunConflictError} If a run is already active
+   */
+  start(options, trigger = 'api') {
+    if (this.active) {
+      throw new RunConflictError(this.active.record);
+    }
+
+    const controller = new AbortController();
+    const record = {
+      id: crypto.randomUUID(),
+      trigger,
+      status: 'running',
+      options,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      progress: { sessions_total: null, sessions_done: 0, current_session: null },
+      stats: null,
+      error: null
+    };
+
+    this.runs.set(record.id, record);
+    this._prune();
+    logger.info('Run started', { runId: record.id, trigger });
+
+    const done = Promise.resolve()
+      .then(() => this.runTask(options, {
+        signal: controller.signal,
+        onProgress: (progress) => Object.assign(record.progress, progress)
+      }))
+      .then(({ stats, error } = {}) => {
+        record.stats = stats || null;
+        record.error = error ? String(error.message || error) : null;
+        record.status = controller.signal.aborted ? 'cancelled' : (error ? 'failed' : 'completed');
+      })
+      .catch((err) => {
+        record.error = err.message;
+        record.status = 'failed';
+      })
+      .finally(() => {
+        record.finishedAt = new Date().toISOString();
+        record.progress.current_session = null;
+        this.active = null;
+        logger.info('Run finished', { runId: record.id, status: record.status });
+      });
+
+    this.active = { record, controller, done };
+    return { run: record, done };
+  }
+
+  get(id) {
+    return this.runs.get(id) || null;
+  }
+
+  list() {
+    return [...this.runs.values()].reverse();
+  }
+
+  /**
+   * Ask a running run to stop after its current session
+   * @returns {Object|null} The run record, or null if unknown
+   */
+  cancel(id) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    if (this.active && this.active.record.id === id && !this.active.controller.signal.aborted) {
+      this.active.controller.abort();
+      record.status = 'cancelling';
+      logger.warn('Run cancel requested', { runId: id });
+    }
+    return record;
+  }
+
+  /**
+   * Wait for the active run (if any) to finish
+   */
+  async waitForActive() {
+    if (this.active) {
+      await this.active.done;
+    }
+  }
+
+  _prune() {
+    while (this.runs.size > MAX_RUNS) {
+      const oldest = this.runs.keys().next().value;
+      if (this.active && this.active.record.id === oldest) break;
+      this.runs.delete(oldest);
+    }
+  }
+}
+
+module.exports = { RunManager, RunConflictError };
@@ -0,0 +1,157 @@
+/**
+ * Jason's in-process scheduler
+ * Runs a task on a fixed interval or cron expression, with jitter and
+ * overlap protection (a slow run is never started twice)
+ */
+
+const { Logger } = require('./logger');
+const { parseCron, nextCronDate } = require('./cron');
+
+const logger = new Logger('Jason:Scheduler');
+
+class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.task - Async function to run on each tick
+   * @param {number} options.intervalMs - Fixed interval between runs (ignored if cron is set)
+   * @param {string} options.cron - Cron expression (e.g. '*\/30 * * * *')
+   * @param {number} options.jitterMs - Max random delay added to each run
+   * @param {boolean} options.runOnStart - Run once immediately on start
+   */
+  constructor({ task, intervalMs = 30 * 60 * 1000, cron = null, jitterMs = 0, runOnStart = true }) {
+    if (typeof task !== 'function') {
+      throw new Error('Scheduler requires a task function');
+    }
+    if (!cron && !(intervalMs > 0)) {
+      throw new Error('Scheduler requires a positive interval or a cron expression');
+    }
+
+    this.task = task;
+    this.intervalMs = intervalMs;
+    this.cron = cron;
+    this.schedule = cron ? parseCron(cron) : null;
+    this.jitterMs = Math.max(0, jitterMs || 0);
+    this.runOnStart = runOnStart;
+
+    this.timer = null;
+    this.stopped = true;
+    this.current = null;
+    this.nextRunAt = null;
+    this.lastStartedAt = null;
+    this.lastFinishedAt = null;
+    this.runs = 0;
+    this.skipped = 0;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+
+    logger.info('Scheduler started', {
+      mode: this.cron ? 'cron' : 'interval',
+      cron: this.cron,
+      intervalMs: this.cron ? null : this.intervalMs,
+      jitterMs: this.jitterMs
+    });
+
+    if (this.runOnStart) {
+      this._tick();
+    }
+    this._scheduleNext();
+  }
+
+  /**
+   * Stop scheduling new runs and wait for the active run to finish
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+
+    if (this.current) {
+      logger.info('Waiting for active run to finish before stopping');
+      await this.current;
+    }
+    logger.info('Scheduler stopped', { runs: this.runs, skipped: this.skipped });
+  }
+
+  isRunning() {
+    return this.current !== null;
+  }
+
+  getStatus() {
+    return {
+      mode: this.cron ? 'cron' : 'interval',
+      cron: this.cron,
+      intervalMs: this.cron ? null : this.intervalMs,
+      jitterMs: this.jitterMs,
+      running: this.isRunning(),
+      stopped: this.stopped,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+      lastStartedAt: this.lastStartedAt,
+      lastFinishedAt: this.lastFinishedAt,
+      runs: this.runs,
+      skippedOverlaps: this.skipped
+    };
+  }
+
+  _nextBaseTime(now) {
+    if (this.schedule) {
+      return nextCronDate(this.schedule, now);
+    }
+    return new Date(now.getTime() + this.intervalMs);
+  }
+
+  _scheduleNext() {
+    if (this.stopped) return;
+
+    const now = new Date();
+    const base = this._nextBaseTime(now);
+    if (!base) {
+      logger.error('Cron expression never matches - scheduler idle', { cron: this.cron });
+      return;
+    }
+
+    const jitter = this.jitterMs ? Math.floor(Math.random() * this.jitterMs) : 0;
+    this.nextRunAt = new Date(base.getTime() + jitter);
+
+    const delay = Math.max(0, this.nextRunAt.getTime() - now.getTime());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._tick();
+      this._scheduleNext();
+    }, delay);
+  }
+
+  _tick() {
+    if (this.stopped) return;
+
+    // Overlap protection - never start a run while the previous one is active
+    if (this.current) {
+      this.skipped++;
+      logger.warn('Previous run still active - skipping this tick', {
+        startedAt: this.lastStartedAt,
+        skipped: this.skipped
+      });
+      return;
+    }
+
+    this.runs++;
+    this.lastStartedAt = new Date().toISOString();
+
+    this.current = Promise.resolve()
+      .then(() => this.task())
+      .catch(err => {
+        logger.error('Scheduled run failed', { error: err.message });
+      })
+      .finally(() => {
+        this.lastFinishedAt = new Date().toISOString();
+        this.current = null;
+      });
+  }
+}
+
+module.exports = { Scheduler };
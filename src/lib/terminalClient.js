@@ -0,0 +1,147 @@
+/**
+ * WebSocket client for the terminal stream (TERMINAL_WS_URL)
+ *
+ * - Authenticates with TERMINAL_AUTH_TOKEN: sent as a Bearer header on connect
+ *   and as a first { type: 'auth', token } message
+ * - Emits 'message' for every JSON message received (non-JSON frames are ignored)
+ * - Reconnects with exponential backoff (1s doubling to 60s, plus up to 20% jitter);
+ *   the delay resets once a connection has stayed open for 30s
+ */
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { Logger } = require('./logger');
+
+const logger = new Logger('Jason:TerminalWS');
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+const STABLE_AFTER_MS = 30 * 1000;
+
+class TerminalClient extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - WebSocket URL (default: TERMINAL_WS_URL)
+   * @param {string} options.token - Auth token (default: TERMINAL_AUTH_TOKEN)
+   * @param {number} options.reconnectBaseMs - First reconnect delay
+   * @param {number} options.reconnectMaxMs - Max reconnect delay
+   */
+  constructor({
+    url = process.env.TERMINAL_WS_URL,
+    token = process.env.TERMINAL_AUTH_TOKEN,
+    reconnectBaseMs = RECONNECT_BASE_MS,
+    reconnectMaxMs = RECONNECT_MAX_MS
+  } = {}) {
+    super();
+    if (!url) {
+      throw new Error('TerminalClient requires a url (TERMINAL_WS_URL)');
+    }
+
+    this.url = url;
+    this.token = token || null;
+    this.reconnectBaseMs = reconnectBaseMs;
+    this.reconnectMaxMs = reconnectMaxMs;
+
+    this.ws = null;
+    this.stopped = true;
+    this.attempts = 0;
+    this.reconnectTimer = null;
+    this.openedAt = null;
+    this.connects = 0;
+  }
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this._connect();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  stop() {
+    this.stopped = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.close(1000, 'client stopping');
+      this.ws = null;
+    }
+  }
+
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  getStatus() {
+    return {
+      url: this.url,
+      connected: this.isConnected(),
+      connectedSince: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      connects: this.connects,
+      reconnectAttempts: this.attempts
+    };
+  }
+
+  _connect() {
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    const ws = new WebSocket(this.url, { headers });
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.openedAt = Date.now();
+      this.connects++;
+      logger.info('Connected to terminal stream', { url: this.url, attempt: this.attempts });
+      if (this.token) {
+        ws.send(JSON.stringify({ type: 'auth', token: this.token }));
+      }
+      this.emit('open');
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (message?.type === 'auth_error') {
+        logger.error('Terminal stream rejected auth token', { reason: message.reason || message.error });
+      }
+      this.emit('message', message);
+    });
+
+    ws.on('error', (err) => {
+      logger.warn('Terminal stream error', { error: err.message });
+    });
+
+    ws.on('close', (code, reason) => {
+      const stable = this.openedAt && Date.now() - this.openedAt >= STABLE_AFTER_MS;
+      if (stable) this.attempts = 0;
+      this.openedAt = null;
+      this.ws = null;
+      this.emit('close', { code, reason: reason?.toString() });
+
+      if (this.stopped) return;
+      this._scheduleReconnect(code);
+    });
+  }
+
+  _scheduleReconnect(code) {
+    const delay = Math.min(this.reconnectBaseMs * Math.pow(2, this.attempts), this.reconnectMaxMs);
+    const jittered = Math.round(delay + Math.random() * delay * 0.2);
+    this.attempts++;
+
+    logger.warn('Terminal stream closed - reconnecting', { code, attempt: this.attempts, delayMs: jittered });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.stopped) this._connect();
+    }, jittered);
+  }
+}
+
+module.exports = { TerminalClient };
@@ -0,0 +1,124 @@
+/**
+ * Text similarity helpers (no external deps)
+ * Used to match items across sessions by wording rather than exact hash
+ */
+
+// Words too common to say anything about an item
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'when', 'then',
+  'are', 'was', 'were', 'has', 'have', 'had', 'not', 'but', 'all', 'any',
+  'can', 'should', 'will', 'now', 'its', 'our', 'out', 'use', 'via'
+]);
+
+/**
+ * Normalize text for comparison: lowercase, strip punctuation, collapse spaces
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Tokenize into a set of meaningful words
+ */
+function tokenize(text) {
+  return new Set(
+    normalizeText(text)
+      .split(' ')
+      .filter(w => w.length >= 3 && !STOPWORDS.has(w))
+  );
+}
+
+/**
+ * Jaccard similarity of two token sets (0..1)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two strings by word overlap (0..1)
+ */
+function textSimilarity(a, b) {
+  return jaccard(tokenize(a), tokenize(b));
+}
+
+/**
+ * Normalized-text fingerprint: sorted unique meaningful words
+ * Stable across punctuation, case, word order and stopword changes
+ */
+function fingerprint(text) {
+  return [...tokenize(text)].sort().join(' ');
+}
+
+/**
+ * Character trigrams of each word, padded so word starts and ends count
+ * ("loop" -> " lo", "loo", "oop", "op ")
+ */
+function shingles(words) {
+  const grams = new Set();
+  for (const word of String(words || '').split(' ').filter(Boolean)) {
+    const padded = ` ${word} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      grams.add(padded.substring(i, i + 3));
+    }
+  }
+  return grams;
+}
+
+/**
+ * Similarity of two fingerprints (0..1)
+ * Jaccard over character shingles rather than whole words, so one reworded or
+ * inflected word in a short item ("redirect loop" / "redirect bug") still
+ * leaves most of the item shared
+ */
+function fingerprintSimilarity(a, b) {
+  return jaccard(shingles(a), shingles(b));
+}
+
+/**
+ * Similarity threshold (0..1) from an env var; unset falls back quietly,
+ * anything else outside 0..1 falls back with a warning. Logs the value used
+ * @param {string} name - Env var name
+ * @param {number} fallback - Default threshold
+ * @param {Object} logger - Caller's Logger
+ * @returns {number}
+ */
+function readThreshold(name, fallback, logger) {
+  const raw = process.env[name];
+  let value = fallback;
+  let source = 'default';
+
+  if (raw !== undefined && raw.trim() !== '') {
+    const parsed = Number(raw);
+    if (Number.isFinite(parsed) && parsed >= 0 && parsed <= 1) {
+      value = parsed;
+      source = 'env';
+    } else {
+      logger.warn(`Ignoring ${name}="${raw}" - expected a number from 0 to 1`, { using: fallback });
+    }
+  }
+
+  logger.info('Similarity threshold', { name, value, source });
+  return value;
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  jaccard,
+  textSimilarity,
+  fingerprint,
+  fingerprintSimilarity,
+  shingles,
+  readThreshold,
+  STOPWORDS
+};
@@ -0,0 +1,82 @@
+/**
+ * Bounded worker pool for session processing
+ *
+ * - at most `concurrency` tasks run at once
+ * - at most `perKeyLimit` tasks share a key (e.g. a project), so one key can't
+ *   take every worker while others wait
+ * - tasks start in input order, skipping over keys that are at their limit
+ * - once `signal` aborts no new task starts; running ones finish
+ * - a task that throws doesn't stop the others: its error is collected and the
+ *   pool settles once every started task has
+ */
+
+/**
+ * Run worker(item, index) over items
+ * @param {Array} items
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options
+ * @param {number} options.concurrency - Max tasks in flight (default 1)
+ * @param {Function} options.keyOf - item => key for the per-key limit (optional)
+ * @param {number} options.perKeyLimit - Max tasks in flight per key (default: concurrency)
+ * @param {AbortSignal} options.signal - Stop starting new tasks when aborted
+ * @param {Function} options.onDone - (item, index, result) called as each task succeeds
+ * @returns {Promise<Object>} { results (by index, undefined if never started or failed),
+ *   errors ([{ index, error }] for tasks whose worker or onDone threw), started, aborted }
+ */
+function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const perKeyLimit = Math.max(1, options.perKeyLimit || concurrency);
+  const keyOf = options.keyOf || (() => null);
+  const { signal, onDone } = options;
+
+  const results = new Array(items.length);
+  const errors = [];
+  const pending = items.map((item, index) => index);
+  const inFlight = new Map();
+  let running = 0;
+  let started = 0;
+
+  return new Promise((resolve) => {
+    const finish = () => resolve({ results, errors, started, aborted: !!signal?.aborted && pending.length > 0 });
+
+    const nextIndex = () => {
+      const position = pending.findIndex(i => (inFlight.get(keyOf(items[i])) || 0) < perKeyLimit);
+      return position === -1 ? -1 : pending.splice(position, 1)[0];
+    };
+
+    const fill = () => {
+      while (running < concurrency && pending.length > 0 && !signal?.aborted) {
+        const index = nextIndex();
+        if (index === -1) break;
+        start(index);
+      }
+      if (running === 0) finish();
+    };
+
+    const start = async (index) => {
+      const key = keyOf(items[index]);
+      inFlight.set(key, (inFlight.get(key) || 0) + 1);
+      running++;
+      started++;
+
+      try {
+        // Yield first so fill() finishes starting the batch before any task runs
+        await null;
+        const result = await worker(items[index], index);
+        results[index] = result;
+        onDone?.(items[index], index, result);
+      } catch (error) {
+        results[index] = undefined;
+        errors.push({ index, error });
+      } finally {
+        inFlight.set(key, inFlight.get(key) - 1);
+        running--;
+        fill();
+      }
+    };
+
+    fill();
+  });
+}
+
+module.exports = { runPool };
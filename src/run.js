@@ -3,24 +3,65 @@
  * Jason - Guardrailed Extraction Scheduler
  *
  * Commands:
- *   extract --scheduled              Run scheduled extraction (every 30 min)
+ *   extract --scheduled              Run in-process scheduler (every 30 min by default)
+ *   extract --scheduled --cron=...   Schedule with a cron expression instead of an interval
+ *                                    (also enables the control API: POST /extract, GET /runs/:id)
  *   extract --session=<id>           Extract from specific session
  *   extract --since=30m --slugs=...  Extract recent sessions matching slugs
  *   extract --dry-run                Show what would be extracted without inserting
+ *   extract --no-cursor              Only look back --since, default 3h (default: page through the
+ *                                    whole backlog from the selection cursor)
+ *   extract --concurrency=4          Process sessions in parallel (bounded per project)
+ *   extract --file=<path|glob>       Extract from local transcript files (no database)
+ *   rules test <file>                Show which lines of a sample transcript each rule matches (and inferred priority)
+ *   failures list|retry|clear        Inspect and release failed / quarantined sessions
+ *   reextract --since=7d [--below-version=X]
+ *                                    Re-run extraction on extracted sessions, superseding old items
+ *   export --project=... --format=md Export staging items as JSONL, CSV or Markdown
+ *   listen                           Live extraction from the terminal WebSocket stream
+ *   projects list                    Show the project allowlist, settings and slug resolution
+ *   resolve <slug>                   Explain how a session slug resolves to a project
  */
 
+const fs = require('fs');
 const { program } = require('commander');
-const { Logger } = require('./lib/logger');
+const { Logger, setConsoleStream, withLogBuffer } = require('./lib/logger');
 const { startHealthServer } = require('./lib/healthServer');
-const { selectSessions } = require('./extract/selectSessions');
+const { Scheduler } = require('./lib/scheduler');
+const { RunManager } = require('./lib/runManager');
+const { runPool } = require('./lib/workerPool');
+const { TerminalClient } = require('./lib/terminalClient');
+const { closePool } = require('./lib/pg');
+const { requireDuration } = require('./lib/duration');
+const { metrics, reasonLabel } = require('./lib/metrics');
+const {
+  selectSessions, cursorKey, loadCursor, saveCursor, resetCursor, sortsBefore
+} = require('./extract/selectSessions');
 const { loadTranscript } = require('./extract/loadTranscript');
-const { extractItems } = require('./extract/extractItems');
+const { extractItems, KNOWLEDGE_BUCKETS } = require('./extract/extractItems');
+const { loadRules, setRules, findRuleMatches } = require('./extract/rules');
+const { loadPriorityRules, setPriorityRules, inferPriority } = require('./extract/priority');
 const { validateItems } = require('./extract/validateItems');
-const { insertStaging } = require('./extract/insertStaging');
-const { markExtracted } = require('./extract/markExtracted');
+const { linkResolutions } = require('./extract/resolveItems');
+const { insertStaging, previewSupersede } = require('./extract/insertStaging');
+const { markExtractionFailed } = require('./extract/markExtracted');
+const { listFailures, retryFailures, clearFailures } = require('./extract/failures');
+const { EXTRACTION_VERSION } = require('./extract/version');
+const { extractFiles, formatResults, OUTPUT_FORMATS } = require('./extract/extractFiles');
+const { loadExportItems, formatExport, EXPORT_FORMATS } = require('./extract/exportItems');
+const { LiveSessions } = require('./extract/liveSessions');
+const { beginLlmRun, getLlmStatus } = require('./extract/llmExtract');
+const { withClaim, getClaimStatus, ClaimLostError } = require('./extract/claims');
+const {
+  getProjects, getProjectsStatus, findProject, projectLookbacks, selectSlugs, applyProjectSettings, DEFAULT_SETTINGS
+} = require('./extract/projects');
+const { explainSlug } = require('./lib/resolveProject');
 
 const logger = new Logger('Jason:CLI');
 
+// Lookback of extract runs without the cursor when --since isn't given
+const DEFAULT_SINCE = '3h';
+
 // Runtime status for health endpoint
 const runtimeStatus = {
   startedAt: new Date().toISOString(),
@@ -31,183 +72,997 @@ const runtimeStatus = {
   totalItemsExtracted: 0
 };
 
+// Active scheduler and run tracker (only set in --scheduled mode)
+let scheduler = null;
+let runs = null;
+
+// Live terminal stream listener (only set in listen mode)
+let listener = null;
+
+// Control API (POST /extract etc.) - defaults are the scheduled command's options
+const control = { getRuns: () => runs, defaults: {} };
+
 // Start health server if port configured
 const healthPort = process.env.JASON_HEALTH_PORT ? Number(process.env.JASON_HEALTH_PORT) : null;
-if (healthPort) {
-  startHealthServer({
+const healthServer = healthPort
+  ? startHealthServer({
     port: healthPort,
-    getStatus: () => runtimeStatus
-  });
-}
-
-// Allowed slugs for extraction (real project slugs only - no terminal/unassigned)
-const ALLOWED_SLUGS = [
-  'ai-chad',
-  'ai-jen',
-  'ai-susan',
-  'ai-clair',
-  'ai-jason',
-  'dev-studio',
-  'kodiack-dashboard',
-  'kodiack-studio',
-  'nextbid',
-  'premier-group'
-];
+    getStatus: () => ({
+      ...runtimeStatus,
+      nextRunAt: scheduler ? scheduler.getStatus().nextRunAt : null,
+      scheduler: scheduler ? scheduler.getStatus() : null,
+      activeRun: runs ? runs.getActive() : null,
+      listener: listener ? { ...listener.client.getStatus(), ...listener.live.getStatus() } : null,
+      llm: getLlmStatus(),
+      projects: getProjectsStatus(),
+      claims: getClaimStatus()
+    }),
+    control
+  })
+  : null;
 
 program
   .name('jason')
   .description('Guardrailed Extraction Scheduler')
-  .version('1.0.0');
+  .version(`1.0.0 (extractor ${EXTRACTION_VERSION})`);
 
 program
   .command('extract')
-  .description('Extract todos/bugs/worklogs/decisions from sessions')
-  .option('--scheduled', 'Run in scheduled mode (default 30m lookback)')
+  .description('Extract todos/bugs/worklogs/decisions/knowledge from sessions')
+  .option('--scheduled', 'Run in scheduled mode - every --interval, paging through the backlog from the cursor (or looking back --since)')
   .option('--session <id>', 'Extract from specific session ID')
-  .option('--since <duration>', 'Lookback duration (e.g., 30m, 1h, 24h)', '3h')
-  .option('--slugs <list>', 'Comma-separated slug filter', ALLOWED_SLUGS.join(','))
+  .option('--since <duration>', `Lookback duration (e.g., 30m, 1h, 24h; default: the whole backlog with the cursor, else ${DEFAULT_SINCE})`)
+  .option('--slugs <list>', 'Comma-separated slug filter (default: every allowlisted project)')
   .option('--dry-run', 'Show what would be extracted without inserting')
   .option('--limit <n>', 'Max sessions to process', '10')
+  .option('--concurrency <n>', 'Sessions processed in parallel', process.env.JASON_CONCURRENCY || '1')
+  .option('--project-concurrency <n>', 'Max parallel sessions per project (default: half of --concurrency)', process.env.JASON_PROJECT_CONCURRENCY)
+  .option('--no-cursor', 'Ignore the selection cursor and only look back --since (default: resume from the cursor)')
+  .option('--interval <duration>', 'Scheduled mode: time between runs (e.g., 15m, 1h)', process.env.JASON_SCHEDULE_INTERVAL || '30m')
+  .option('--cron <expr>', 'Scheduled mode: cron expression (overrides --interval)', process.env.JASON_SCHEDULE_CRON)
+  .option('--jitter <duration>', 'Scheduled mode: max random delay added to each run', process.env.JASON_SCHEDULE_JITTER || '0m')
+  .option('--rules <file>', 'Marker rules file (JSON/YAML, default: config/rules.json)', process.env.JASON_RULES_FILE)
+  .option('--file <paths...>', 'Offline: extract from local transcript files or globs (text or .jsonl), no database')
+  .option('--format <format>', `Offline output format (${OUTPUT_FORMATS.join('|')})`, 'json')
+  .option('--output <file>', 'Offline: write results to a file instead of stdout')
+  .option('--project <slug>', 'Offline: project slug for the files (default: from .jsonl cwd, else "local")')
   .action(async (options) => {
-    const startTime = Date.now();
-    const stats = {
-      sessions_scanned: 0,
-      sessions_processed: 0,
-      todos: 0,
-      bugs: 0,
-      worklogs: 0,
-      decisions: 0,
-      duplicates: 0,
-      errors: 0
-    };
+    // Offline results go to stdout - keep log lines out of the way
+    if (options.file && !options.output) {
+      setConsoleStream('stderr');
+    }
 
+    // Validate rules at startup - never run with a broken rules file
     try {
-      logger.info('Starting extraction run', {
-        mode: options.scheduled ? 'scheduled' : 'manual',
-        since: options.since,
-        dryRun: !!options.dryRun
-      });
+      setRules(loadRules(options.rules));
+      setPriorityRules(loadPriorityRules());
+    } catch (err) {
+      logger.error('Failed to load extraction rules', { file: options.rules, error: err.message });
+      process.exit(1);
+    }
 
-      // Parse slugs
-      const slugs = options.slugs.split(',').map(s => s.trim()).filter(Boolean);
-      const validSlugs = slugs.filter(s => ALLOWED_SLUGS.some(allowed => s.startsWith(allowed)));
+    // A mistyped duration is an error, never a silent 3h default
+    try {
+      if (options.since !== undefined) requireDuration(options.since, '--since');
+    } catch (err) {
+      logger.error(err.message);
+      process.exit(1);
+    }
 
-      if (validSlugs.length === 0) {
-        logger.error('No valid slugs provided', { provided: slugs, allowed: ALLOWED_SLUGS });
+    if (options.file) {
+      await runFileExtraction(options);
+      return;
+    }
+
+    // Same for the project allowlist - later reloads keep the last good one
+    try {
+      await getProjects();
+    } catch (err) {
+      logger.error('Failed to load project allowlist', { error: err.message });
+      process.exit(1);
+    }
+
+    if (options.scheduled) {
+      try {
+        startScheduler(options);
+      } catch (err) {
+        logger.error('Failed to start scheduler', { error: err.message });
         process.exit(1);
       }
+      return;
+    }
 
-      // Select sessions to process
-      let sessions;
-      if (options.session) {
-        sessions = await selectSessions({ sessionId: options.session });
-      } else {
-        sessions = await selectSessions({
-          since: options.since,
-          slugs: validSlugs,
-          limit: parseInt(options.limit, 10),
-          status: 'cleaned'  // Pull from Jen-processed sessions
-        });
+    const { error } = await runExtraction(options);
+    await closePool();
+    if (error) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command('reextract')
+  .description('Re-run extraction on already-extracted sessions, superseding their old pending items')
+  .option('--session <id>', 'Re-extract a specific session ID')
+  .option('--since <duration>', 'Lookback duration (e.g., 24h, 7d)', '7d')
+  .option('--slugs <list>', 'Comma-separated slug filter (default: every allowlisted project)')
+  .option('--below-version <version>', `Only sessions extracted by an older extractor (current: ${EXTRACTION_VERSION})`)
+  .option('--dry-run', 'Show the diff without writing')
+  .option('--limit <n>', 'Max sessions to process', '50')
+  .option('--concurrency <n>', 'Sessions processed in parallel', process.env.JASON_CONCURRENCY || '1')
+  .option('--project-concurrency <n>', 'Max parallel sessions per project (default: half of --concurrency)', process.env.JASON_PROJECT_CONCURRENCY)
+  .option('--rules <file>', 'Marker rules file (JSON/YAML, default: config/rules.json)', process.env.JASON_RULES_FILE)
+  .action(async (options) => {
+    try {
+      setRules(loadRules(options.rules));
+      setPriorityRules(loadPriorityRules());
+    } catch (err) {
+      logger.error('Failed to load extraction rules', { file: options.rules, error: err.message });
+      process.exit(1);
+    }
+
+    try {
+      requireDuration(options.since, '--since');
+    } catch (err) {
+      logger.error(err.message);
+      process.exit(1);
+    }
+
+    const { error } = await runReextract(options);
+    await closePool();
+    if (error) {
+      process.exit(1);
+    }
+  });
+
+program
+  .command('export')
+  .description('Export staging items with evidence and session links')
+  .option('--project <slug>', 'Project slug (default: all projects)')
+  .option('--since <duration>', 'Lookback duration (e.g., 7d, 30d)', '30d')
+  .option('--bucket <list>', 'Comma-separated buckets (e.g., "Todos,Bugs Open")')
+  .option('--status <list>', 'Comma-separated row statuses (default: all but superseded)')
+  .option('--format <format>', `Output format (${EXPORT_FORMATS.join('|')})`, 'jsonl')
+  .option('--output <file>', 'Write to a file instead of stdout')
+  .option('--limit <n>', 'Max items', '1000')
+  .action(async (options) => {
+    if (!options.output) {
+      setConsoleStream('stderr');
+    }
+
+    try {
+      if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format} (expected ${EXPORT_FORMATS.join(', ')})`);
       }
+      requireDuration(options.since, '--since');
 
-      stats.sessions_scanned = sessions.length;
-      logger.info(`Found ${sessions.length} sessions to process`);
+      const items = await loadExportItems({
+        project: options.project,
+        since: options.since,
+        buckets: splitList(options.bucket),
+        statuses: splitList(options.status),
+        limit: parseInt(options.limit, 10)
+      });
+      const output = formatExport(items, options.format, { since: options.since });
 
-      if (sessions.length === 0) {
-        updateRuntimeStatus(stats, startTime, options.dryRun, null);
-        printRunReport(stats, startTime, options.dryRun);
-        return;
+      if (options.output) {
+        fs.writeFileSync(options.output, output + '\n');
+        logger.info(`Exported ${items.length} item(s) to ${options.output}`);
+      } else {
+        process.stdout.write(output + '\n');
       }
+    } catch (err) {
+      logger.error('Export failed', { error: err.message });
+      process.exitCode = 1;
+    } finally {
+      await closePool();
+    }
+  });
 
-      // Process each session
-      for (const session of sessions) {
-        try {
-          logger.info(`Processing session: ${session.id}`, {
-            slug: session.project_slug,
-            created: session.created_at
-          });
-
-          // Load transcript content
-          const transcript = await loadTranscript(session.id);
-          if (!transcript || !transcript.content) {
-            logger.warn(`No transcript content for session ${session.id}`);
-            continue;
-          }
-
-          // Extract items (todos, bugs, worklogs, decisions)
-          const items = await extractItems(transcript, session);
-
-          // Validate items against schemas
-          const { valid, invalid } = validateItems(items);
-
-          if (invalid.length > 0) {
-            logger.warn(`${invalid.length} items failed validation`, {
-              sessionId: session.id,
-              reasons: invalid.slice(0, 3).map(i => i.error)
-            });
-          }
-
-          if (valid.length === 0) {
-            logger.info(`No valid items extracted from session ${session.id}`);
-            continue;
-          }
-
-          // Count by type
-          valid.forEach(item => {
-            if (item.bucket === 'Todos') stats.todos++;
-            else if (item.bucket === 'Bugs Open' || item.bucket === 'Bugs Fixed') stats.bugs++;
-            else if (item.bucket === 'Work Log') stats.worklogs++;
-            else if (item.bucket === 'Decisions') stats.decisions++;
-          });
-
-          if (options.dryRun) {
-            // Dry run - just print what would be inserted
-            logger.info(`[DRY RUN] Would insert ${valid.length} items:`, {
-              todos: valid.filter(i => i.bucket === 'Todos').length,
-              bugs: valid.filter(i => i.bucket.includes('Bug')).length,
-              worklogs: valid.filter(i => i.bucket === 'Work Log').length,
-              decisions: valid.filter(i => i.bucket === 'Decisions').length
-            });
-
-            // Print sample items
-            valid.slice(0, 3).forEach(item => {
-              console.log(`  [${item.bucket}] ${item.title?.substring(0, 60) || item.content?.substring(0, 60)}...`);
-            });
-          } else {
-            // Insert into staging table
-            const { inserted, duplicates } = await insertStaging(valid, session.id, session.project_slug);
-            stats.duplicates += duplicates;
-
-            // Mark session as extracted
-            await markExtracted(session.id, {
-              extraction_version: '1.0.0',
-              items_created: inserted,
-              duplicates_skipped: duplicates
-            });
-
-            runtimeStatus.totalItemsExtracted += inserted;
-          }
-
-          stats.sessions_processed++;
-
-        } catch (err) {
-          logger.error(`Error processing session ${session.id}`, { error: err.message });
-          stats.errors++;
-        }
+program
+  .command('listen')
+  .description('Live extraction: run strict rules on the terminal WebSocket stream as output arrives')
+  .option('--url <url>', 'Terminal WebSocket URL', process.env.TERMINAL_WS_URL)
+  .option('--slugs <list>', 'Comma-separated slug filter (default: every allowlisted project)')
+  .option('--dry-run', 'Print live items without inserting')
+  .option('--rules <file>', 'Marker rules file (JSON/YAML, default: config/rules.json)', process.env.JASON_RULES_FILE)
+  .action(async (options) => {
+    try {
+      setRules(loadRules(options.rules));
+      setPriorityRules(loadPriorityRules());
+      await startListener(options);
+    } catch (err) {
+      logger.error('Failed to start listener', { error: err.message });
+      process.exit(1);
+    }
+  });
+
+const rulesCommand = program
+  .command('rules')
+  .description('Inspect marker rules');
+
+rulesCommand
+  .command('test <file>')
+  .description('Show which lines of a sample transcript each rule matches')
+  .option('--rules <file>', 'Marker rules file (JSON/YAML, default: config/rules.json)', process.env.JASON_RULES_FILE)
+  .action((file, options) => {
+    let rules;
+    let priorityRules;
+    try {
+      rules = loadRules(options.rules);
+      priorityRules = loadPriorityRules();
+    } catch (err) {
+      logger.error('Failed to load extraction rules', { file: options.rules, error: err.message });
+      process.exit(1);
+    }
+
+    const content = fs.readFileSync(file, 'utf8');
+    const matches = findRuleMatches(content, rules);
+
+    console.log('');
+    for (const rule of rules) {
+      const ruleMatches = matches.filter(m => m.rule === rule);
+      console.log(`${rule.name} [${rule.bucket}] - ${ruleMatches.length} match(es)`);
+      ruleMatches.forEach(m => {
+        const extra = m.body ? ` (+${m.body.split('\n').length} lines)` : '';
+        const inferred = rule.priority && inferPriority(m.text, rule.priority, { annotation: m.annotation, rules: priorityRules });
+        const priority = inferred ? ` [${inferred.priority}${inferred.signal.match ? ` via ${inferred.signal.match}` : ''}]` : '';
+        const text = inferred ? inferred.text : m.text;
+        console.log(`  L${m.line}: ${text.substring(0, 100)}${priority}${extra}`);
+      });
+    }
+    console.log('');
+    console.log(`${matches.length} total matches from ${rules.length} rules`);
+  });
+
+const projectsCommand = program
+  .command('projects')
+  .description('Inspect the project allowlist');
+
+projectsCommand
+  .command('list')
+  .description('Show each allowlisted project, its effective settings and whether it resolves')
+  .action(async () => {
+    try {
+      const projects = await getProjects();
+
+      console.log('');
+      for (const project of projects) {
+        const resolution = await explainSlug(project.slug);
+        const buckets = project.buckets.length === DEFAULT_SETTINGS.buckets.length ? 'all' : project.buckets.join(', ');
+        console.log(`${project.slug}  ${resolution.projectId ? `-> ${resolution.projectId} (${resolution.method})` : resolution.method.toUpperCase()}`);
+        console.log(`    buckets=${buckets}  since=${project.since || '(run --since)'}  maxItems=${project.maxItems || '-'}  priority=${project.priority}`);
       }
+      console.log('');
+      console.log(`${projects.length} project(s) from ${getProjectsStatus().source}`);
+    } catch (err) {
+      logger.error('Failed to list projects', { error: err.message });
+      process.exitCode = 1;
+    }
+  });
 
-      updateRuntimeStatus(stats, startTime, options.dryRun, null);
-      printRunReport(stats, startTime, options.dryRun);
+program
+  .command('resolve <slug>')
+  .description('Explain how a session slug resolves to a project (aliases, exact, partial, ambiguous)')
+  .action(async (slug) => {
+    try {
+      const resolution = await explainSlug(slug);
+      const project = findProject(await getProjects(), slug);
 
+      console.log('');
+      console.log(`${slug}  ${resolution.projectId ? `-> ${resolution.project.slug} (${resolution.projectId})` : 'UNRESOLVED'}`);
+      console.log(`    ${describeResolution(resolution)}`);
+      console.log(`    allowlist: ${project ? project.slug : 'not allowlisted - sessions are never extracted'}`);
+      console.log('');
+      if (!resolution.projectId) process.exitCode = 1;
     } catch (err) {
-      logger.error('Extraction run failed', { error: err.message, stack: err.stack });
-      stats.errors++;
-      updateRuntimeStatus(stats, startTime, options.dryRun, err);
+      logger.error('Failed to resolve slug', { slug, error: err.message });
+      process.exitCode = 1;
+    }
+  });
+
+const failuresCommand = program
+  .command('failures')
+  .description('Inspect and release failed / quarantined sessions');
+
+failuresCommand
+  .command('list')
+  .description('List sessions with recorded extraction failures')
+  .option('--quarantined', 'Only quarantined sessions')
+  .option('--limit <n>', 'Max sessions to show', '50')
+  .action(async (options) => {
+    await runFailuresCommand(async () => {
+      const rows = await listFailures({
+        quarantinedOnly: !!options.quarantined,
+        limit: parseInt(options.limit, 10)
+      });
+
+      console.log('');
+      rows.forEach(row => {
+        const f = row.failure || {};
+        console.log(`${row.id}  ${row.project_slug || '-'}  status=${row.status}  attempts=${f.attempts}  next_retry=${f.next_retry_at || '-'}`);
+        console.log(`    ${f.reason}`);
+      });
+      console.log('');
+      console.log(`${rows.length} failed session(s)`);
+    });
+  });
+
+failuresCommand
+  .command('retry [ids...]')
+  .description('Make failed sessions eligible now (keeps attempt history)')
+  .option('--all', 'Release every failed session')
+  .option('--quarantined', 'Only release quarantined sessions')
+  .action(async (ids, options) => {
+    await runFailuresCommand(async () => {
+      requireTargets(ids, options);
+      const released = await retryFailures({ ids, all: !!options.all, quarantinedOnly: !!options.quarantined });
+      logger.info(`Released ${released.length} session(s) for retry`, { ids: released.slice(0, 10) });
+    });
+  });
+
+failuresCommand
+  .command('clear [ids...]')
+  .description('Remove failure records (resets attempt counter)')
+  .option('--all', 'Clear every failure record')
+  .action(async (ids, options) => {
+    await runFailuresCommand(async () => {
+      requireTargets(ids, options);
+      const cleared = await clearFailures({ ids, all: !!options.all });
+      logger.info(`Cleared ${cleared.length} failure record(s)`, { ids: cleared.slice(0, 10) });
+    });
+  });
+
+const RESOLUTION_NOTES = {
+  ignored: () => 'ignored slug (terminal / unassigned sessions have no project)',
+  alias: r => r.projectId ? `alias -> ${r.alias}` : `alias -> ${r.alias}, but no project has that slug - fix the alias`,
+  exact: () => 'exact slug match',
+  prefix: r => `partial match: the only project slug starting with "${r.slug}-"`,
+  contains: r => `partial match: the only project slug containing "${r.slug}"`,
+  ambiguous: r => `ambiguous partial match (${r.candidates.join(', ')}) - refused; add a slug alias to pick one`,
+  none: () => 'no alias, exact or partial match'
+};
+
+function describeResolution(resolution) {
+  return RESOLUTION_NOTES[resolution.method](resolution);
+}
+
+function splitList(list) {
+  return (list || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function requireTargets(ids, options) {
+  if (ids.length === 0 && !options.all) {
+    throw new Error('Pass session ids or --all');
+  }
+}
+
+async function runFailuresCommand(fn) {
+  try {
+    await fn();
+  } catch (err) {
+    logger.error('Failures command failed', { error: err.message });
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+/**
+ * Offline extraction from local files - never touches the database
+ */
+async function runFileExtraction(options) {
+  try {
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+      throw new Error(`Unknown format: ${options.format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    const results = await extractFiles(options.file, { project: options.project });
+    const output = formatResults(results, options.format);
+
+    if (options.output) {
+      fs.writeFileSync(options.output, output + '\n');
+      logger.info(`Wrote ${results.length} file result(s) to ${options.output}`);
+    } else {
+      process.stdout.write(output + '\n');
+    }
+
+    const failed = results.filter(r => r.error).length;
+    logger.info('Offline extraction complete', {
+      files: results.length,
+      items: results.reduce((sum, r) => sum + r.items.length, 0),
+      invalid: results.reduce((sum, r) => sum + r.invalid.length, 0),
+      failed
+    });
+    if (failed > 0) process.exitCode = 1;
+  } catch (err) {
+    logger.error('Offline extraction failed', { error: err.message });
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Load, extract, validate and link one session's items, then apply the
+ * project's settings (buckets, default priority, max items)
+ * @param {Object} session - Session row
+ * @param {Array} projects - Current project allowlist
+ * @returns {Object|null} { valid, filtered } - valid items and how many the project's
+ *   settings dropped, or null if the session has no transcript
+ */
+async function buildSessionItems(session, projects) {
+  // Load transcript content
+  const transcript = await loadTranscript(session.id);
+  if (!transcript || !transcript.content) {
+    logger.warn(`No transcript content for session ${session.id}`);
+    return null;
+  }
+
+  // Extract items (todos, bugs, worklogs, decisions, knowledge, snippets)
+  const items = await extractItems(transcript, session);
+
+  // Validate items against schemas
+  const { valid, invalid } = validateItems(items);
+
+  invalid.forEach(i => metrics.validationRejections.inc({ reason: reasonLabel(i.error) }));
+  if (invalid.length > 0) {
+    logger.warn(`${invalid.length} items failed validation`, {
+      sessionId: session.id,
+      reasons: invalid.slice(0, 3).map(i => i.error)
+    });
+  }
+
+  // Link FIXED:/DONE: items to the open items they close
+  const linked = await linkResolutions(valid, session);
+  const { items: kept, filtered } = applySettings(linked, session, projects);
+  return { valid: kept, filtered };
+}
+
+/**
+ * Per-project bucket filter / default priority / item cap, logging what was dropped
+ * @returns {Object} { items, filtered } - kept items and how many were dropped
+ */
+function applySettings(items, session, projects) {
+  const { items: kept, dropped } = applyProjectSettings(items, findProject(projects, session.project_slug));
+  if (dropped.bucket > 0 || dropped.cap > 0) {
+    logger.info('Project settings dropped items', { sessionId: session.id, slug: session.project_slug, ...dropped });
+  }
+  return { items: kept, filtered: dropped.bucket + dropped.cap };
+}
+
+/**
+ * Extract and stage one session
+ * @returns {Object} Stats for this session, merged into the run's stats by the caller
+ */
+async function processSession(session, projects, options) {
+  const delta = {};
+  const count = (key, n = 1) => { delta[key] = (delta[key] || 0) + n; };
+  const endSessionTimer = metrics.sessionDuration.startTimer();
+  let sessionStatus = 'skipped';
+
+  try {
+    logger.info(`Processing session: ${session.id}`, {
+      slug: session.project_slug,
+      created: session.created_at
+    });
+
+    const built = await buildSessionItems(session, projects);
+    if (!built) return delta;
+    const { valid, filtered } = built;
+
+    if (valid.length === 0 && filtered === 0) {
+      logger.info(`No valid items extracted from session ${session.id}`);
+      return delta;
+    }
+
+    // Still marked extracted below, or the same items would be filtered again every run
+    if (valid.length === 0) {
+      logger.info(`Project settings filtered out every item from session ${session.id}`, { filtered });
+    }
+
+    // Count by type
+    valid.forEach(item => {
+      if (item.bucket === 'Todos') count('todos');
+      else if (item.bucket === 'Bugs Open' || item.bucket === 'Bugs Fixed') count('bugs');
+      else if (item.bucket === 'Work Log') count('worklogs');
+      else if (item.bucket === 'Decisions') count('decisions');
+      else if (KNOWLEDGE_BUCKETS.includes(item.bucket)) count('knowledge');
+      else if (item.bucket === 'Snippets') count('snippets');
+      if (item.metadata?.resolution?.resolves) count('resolved');
+      metrics.itemsExtracted.inc({ bucket: item.bucket });
+    });
+
+    if (options.dryRun) {
+      // Dry run - just print what would be inserted
+      logger.info(`[DRY RUN] Would insert ${valid.length} items:`, {
+        todos: valid.filter(i => i.bucket === 'Todos').length,
+        bugs: valid.filter(i => i.bucket.includes('Bug')).length,
+        worklogs: valid.filter(i => i.bucket === 'Work Log').length,
+        decisions: valid.filter(i => i.bucket === 'Decisions').length,
+        knowledge: valid.filter(i => KNOWLEDGE_BUCKETS.includes(i.bucket)).length,
+        snippets: valid.filter(i => i.bucket === 'Snippets').length,
+        samples: valid.slice(0, 3).map(item => `[${item.bucket}] ${item.title?.substring(0, 60) || item.content?.substring(0, 60)}`)
+      });
+    } else {
+      // Insert into staging table and mark the session extracted - one transaction
+      const { inserted, duplicates, merged } = await insertStaging(valid, session.id, session.project_slug, {
+        markExtracted: { trigger: options.scheduled ? 'scheduled' : 'manual', items_filtered: filtered }
+      });
+      count('duplicates', duplicates);
+      count('merged', merged);
+
+      runtimeStatus.totalItemsExtracted += inserted;
+      metrics.itemsInserted.inc(inserted);
+      metrics.duplicates.inc({ kind: 'exact' }, duplicates);
+      metrics.duplicates.inc({ kind: 'near' }, merged);
+      if (inserted > 0) metrics.lastItem.set(Date.now() / 1000);
+    }
+
+    count('sessions_processed');
+    metrics.sessionsProcessed.inc();
+    sessionStatus = 'ok';
+
+  } catch (err) {
+    if (err instanceof ClaimLostError) {
+      // Lease expired mid-session and another instance took over - nothing was written
+      logger.warn(`Lost the claim on session ${session.id} - left to the instance holding it`);
+      count('claimed_elsewhere');
+      return delta;
+    }
+    logger.error(`Error processing session ${session.id}`, { error: err.message });
+    count('errors');
+    metrics.sessionErrors.inc();
+    sessionStatus = 'error';
+
+    // Record the failure so the session backs off (and is quarantined after N attempts)
+    if (!options.dryRun) {
+      const failure = await markExtractionFailed(session.id, err.message);
+      if (failure?.quarantined) count('quarantined');
+    }
+  } finally {
+    endSessionTimer({ status: sessionStatus });
+  }
+
+  return delta;
+}
+
+/**
+ * Worker pool settings: --concurrency workers, at most --project-concurrency
+ * (default half the pool) on one project so it can't starve the others
+ */
+function poolOptions(options, projects) {
+  const concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+  return {
+    concurrency,
+    perKeyLimit: Math.max(1, parseInt(options.projectConcurrency, 10) || Math.ceil(concurrency / 2)),
+    keyOf: session => findProject(projects, session.project_slug)?.slug || session.project_slug
+  };
+}
+
+/**
+ * Wrapper for a session's work - its log lines are buffered into one block only
+ * when sessions run in parallel and could interleave
+ */
+function sessionLogging(pool) {
+  return pool.concurrency > 1 ? withLogBuffer : fn => fn();
+}
+
+/**
+ * Log the sessions whose worker threw - they count as errors; the pool ran the rest
+ * @param {Array} errors - runPool errors ([{ index, error }])
+ */
+function logPoolErrors(sessions, errors, stats) {
+  errors.forEach(({ index, error }) => {
+    logger.error('Session failed', { session: sessions[index].id, error: error.message, stack: error.stack });
+    stats.errors++;
+  });
+}
+
+/**
+ * Run fn while holding the session's lease (dry runs write nothing and skip the claim)
+ * @param {string|null} status - Status the session must still have (null = any)
+ * @returns {Object} { claimed, result, reason } - see withClaim; reason 'error' if the claim query failed
+ */
+async function runClaimed(session, status, options, fn) {
+  if (options.dryRun) {
+    return { claimed: true, result: await fn() };
+  }
+  try {
+    return await withClaim(session.id, status, fn);
+  } catch (err) {
+    logger.error(`Could not claim session ${session.id}`, { error: err.message });
+    return { claimed: false, reason: 'error' };
+  }
+}
+
+/**
+ * Stats for a session runClaimed skipped
+ */
+function unclaimedStats(reason) {
+  if (reason === 'status') return { status_mismatch: 1 };
+  if (reason === 'error') return { errors: 1 };
+  return { claimed_elsewhere: 1 };
+}
+
+/**
+ * Add a session's stats to the run's - workers never touch the run's stats directly
+ */
+function addStats(stats, delta) {
+  Object.entries(delta).forEach(([key, value]) => {
+    stats[key] = (stats[key] || 0) + value;
+  });
+}
+
+/**
+ * Run a single extraction pass
+ * @param {Object} options - Extract command options
+ * @param {Object} context - { signal, onProgress } when started through RunManager
+ * @returns {Object} { stats, error, cancelled }
+ */
+async function runExtraction(options, context = {}) {
+  const { signal, onProgress } = context;
+  const startTime = Date.now();
+  const stats = {
+    sessions_scanned: 0,
+    sessions_processed: 0,
+    todos: 0,
+    bugs: 0,
+    worklogs: 0,
+    decisions: 0,
+    knowledge: 0,
+    snippets: 0,
+    resolved: 0,
+    duplicates: 0,
+    merged: 0,
+    errors: 0,
+    quarantined: 0,
+    claimed_elsewhere: 0,
+    status_mismatch: 0
+  };
+
+  // An explicit --since always applies; cursor runs without one page through the whole backlog
+  const useCursor = !options.session && options.cursor !== false;
+  const since = options.since || (useCursor ? null : DEFAULT_SINCE);
+
+  try {
+    logger.info('Starting extraction run', {
+      mode: options.scheduled ? 'scheduled' : 'manual',
+      since: since || 'backlog',
+      concurrency: options.concurrency,
+      dryRun: !!options.dryRun
+    });
+    beginLlmRun();
+
+    // Reloaded every run - allowlist changes apply without a restart
+    const projects = await getProjects();
+    const validSlugs = selectSlugs(options.slugs, projects);
+
+    // Select sessions to process - cursor runs resume where the last run stopped
+    const limit = parseInt(options.limit, 10);
+    const cursor = cursorKey({ status: 'cleaned', slugs: validSlugs });
+    let sessions;
+    let hold = null;
+    if (options.session) {
+      sessions = await selectSessions({ sessionId: options.session });
+    } else {
+      const selection = {
+        since,
+        slugs: validSlugs,
+        limit,
+        status: 'cleaned',  // Pull from Jen-processed sessions
+        lookbacks: projectLookbacks(projects),
+        after: useCursor ? loadCursor(cursor) : null
+      };
+      sessions = await selectSessions(selection);
+      // The oldest session still waiting out a retry backoff - the cursor never moves past it
+      if (useCursor) [hold = null] = await selectSessions({ ...selection, limit: 1, backingOff: true });
+    }
+    // A short page means the backlog is drained - the next pass starts over
+    const drained = useCursor && sessions.length < limit;
+
+    stats.sessions_scanned = sessions.length;
+    metrics.sessionsScanned.inc(sessions.length);
+    onProgress?.({ sessions_total: sessions.length, sessions_done: 0 });
+    logger.info(`Found ${sessions.length} sessions to process`);
+
+    if (sessions.length === 0) {
+      if (drained && !options.dryRun) resetCursor(cursor);
+      updateRuntimeStatus(stats, startTime, options.dryRun, null);
       printRunReport(stats, startTime, options.dryRun);
-      process.exit(1);
+      return { stats, error: null };
+    }
+
+    // The cursor only moves past a contiguous prefix of completed sessions -
+    // a failed, claimed-elsewhere or backing-off session holds it so the session is selected again
+    const completed = new Array(sessions.length).fill(false);
+    let cursorIndex = -1;
+    let done = 0;
+
+    const pool = poolOptions(options, projects);
+    const logged = sessionLogging(pool);
+    const { aborted: cancelled, errors } = await runPool(sessions, session => logged(() => {
+      onProgress?.({ current_session: session.id, stats: { ...stats } });
+      // --session extracts the session whatever its status; batch runs only take sessions still 'cleaned'
+      return runClaimed(session, options.session ? null : 'cleaned', options, () => processSession(session, projects, options))
+        .then(({ claimed, result, reason }) => claimed ? result : unclaimedStats(reason));
+    }), {
+      ...pool,
+      // Cancel requested - stop starting sessions, never abandon one mid-transaction
+      signal,
+      onDone: (session, index, delta) => {
+        addStats(stats, delta);
+        onProgress?.({ sessions_done: ++done });
+
+        completed[index] = !delta.errors && !delta.claimed_elsewhere;
+        const previous = cursorIndex;
+        while (completed[cursorIndex + 1] && (!hold || sortsBefore(sessions[cursorIndex + 1], hold))) cursorIndex++;
+        if (useCursor && !options.dryRun && cursorIndex > previous) saveCursor(cursor, sessions[cursorIndex]);
+      }
+    });
+    logPoolErrors(sessions, errors, stats);
+
+    if (cancelled) {
+      logger.warn('Run cancelled', { processed: stats.sessions_processed, remaining: sessions.length - done });
+    }
+
+    if (drained && !cancelled && !options.dryRun) {
+      resetCursor(cursor);
+      logger.info('Backlog drained - next run starts from the oldest eligible session');
+    }
+
+    updateRuntimeStatus(stats, startTime, options.dryRun, null);
+    printRunReport(stats, startTime, options.dryRun);
+    return { stats, error: null, cancelled };
+
+  } catch (err) {
+    logger.error('Extraction run failed', { error: err.message, stack: err.stack });
+    stats.errors++;
+    updateRuntimeStatus(stats, startTime, options.dryRun, err);
+    printRunReport(stats, startTime, options.dryRun);
+    return { stats, error: err };
+  }
+}
+
+/**
+ * Re-extract already-extracted sessions with the current extractor
+ * Old pending items the new run no longer produces are superseded; prints a diff per session
+ * @returns {Object} { stats, error }
+ */
+async function runReextract(options) {
+  const startTime = Date.now();
+  const stats = { sessions_scanned: 0, sessions_processed: 0, added: 0, removed: 0, unchanged: 0, errors: 0, claimed_elsewhere: 0, status_mismatch: 0 };
+
+  try {
+    logger.info('Starting re-extraction', {
+      since: options.since,
+      belowVersion: options.belowVersion || null,
+      version: EXTRACTION_VERSION,
+      dryRun: !!options.dryRun
+    });
+    beginLlmRun();
+
+    const projects = await getProjects();
+    const sessions = options.session
+      ? await selectSessions({ sessionId: options.session })
+      : await selectSessions({
+        since: options.since,
+        slugs: selectSlugs(options.slugs, projects),
+        limit: parseInt(options.limit, 10),
+        status: 'extracted',
+        belowVersion: options.belowVersion
+      });
+
+    stats.sessions_scanned = sessions.length;
+    logger.info(`Found ${sessions.length} sessions to re-extract`);
+
+    const pool = poolOptions(options, projects);
+    const logged = sessionLogging(pool);
+    const { errors } = await runPool(sessions, session => logged(async () => {
+      const { claimed, result, reason } = await runClaimed(session, 'extracted', options, () => reextractSession(session, projects, options));
+      return claimed ? result : { delta: unclaimedStats(reason), diff: null };
+    }), {
+      ...pool,
+      onDone: (session, index, { delta, diff, previousVersion }) => {
+        addStats(stats, delta);
+        if (diff) printSessionDiff(session, previousVersion, diff);
+      }
+    });
+    logPoolErrors(sessions, errors, stats);
+
+    printReextractReport(stats, startTime, options.dryRun);
+    return { stats, error: null };
+
+  } catch (err) {
+    logger.error('Re-extraction failed', { error: err.message, stack: err.stack });
+    stats.errors++;
+    printReextractReport(stats, startTime, options.dryRun);
+    return { stats, error: err };
+  }
+}
+
+/**
+ * Re-extract one session
+ * @returns {Object} { delta, diff, previousVersion } - diff is null if nothing was compared
+ */
+async function reextractSession(session, projects, options) {
+  const previousVersion = session.extraction_metadata?.extraction_version || 'unknown';
+  const delta = {};
+  try {
+    const built = await buildSessionItems(session, projects);
+    if (!built) return { delta, diff: null, previousVersion };
+    const { valid } = built;
+
+    const diff = options.dryRun
+      ? await previewSupersede(valid, session.id)
+      : (await insertStaging(valid, session.id, session.project_slug, {
+        supersede: true,
+        markExtracted: { trigger: 'reextract', previous_version: previousVersion }
+      })).diff;
+
+    // Project could not be resolved - nothing was written
+    if (!diff) return { delta, diff: null, previousVersion };
+
+    Object.assign(delta, {
+      sessions_processed: 1,
+      added: diff.added.length,
+      removed: diff.removed.length,
+      unchanged: diff.unchanged
+    });
+    return { delta, diff, previousVersion };
+
+  } catch (err) {
+    if (err instanceof ClaimLostError) {
+      logger.warn(`Lost the claim on session ${session.id} - left to the instance holding it`);
+      delta.claimed_elsewhere = 1;
+      return { delta, diff: null, previousVersion };
+    }
+    logger.error(`Error re-extracting session ${session.id}`, { error: err.message });
+    delta.errors = 1;
+    if (!options.dryRun) {
+      await markExtractionFailed(session.id, err.message);
+    }
+    return { delta, diff: null, previousVersion };
+  }
+}
+
+function printSessionDiff(session, previousVersion, diff) {
+  console.log('');
+  console.log(`${session.id}  ${session.project_slug || '-'}  ${previousVersion} -> ${EXTRACTION_VERSION}`);
+  diff.added.forEach(item => console.log(`  + [${item.bucket}] ${String(item.title).substring(0, 80)}`));
+  diff.removed.forEach(item => console.log(`  - [${item.bucket}] ${String(item.title).substring(0, 80)}`));
+  console.log(`  = ${diff.unchanged} unchanged`);
+}
+
+function printReextractReport(stats, startTime, dryRun) {
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const status = stats.errors === 0 ? 'RUN_OK' : 'RUN_PARTIAL';
+
+  console.log([
+    '',
+    '═══════════════════════════════════════════════════════════',
+    `  RE-EXTRACTION ${dryRun ? '(DRY RUN) ' : ''}COMPLETE - ${status}`,
+    '═══════════════════════════════════════════════════════════',
+    `  version=${EXTRACTION_VERSION}`,
+    `  sessions_scanned=${stats.sessions_scanned}`,
+    `  sessions_processed=${stats.sessions_processed}`,
+    `  added=${stats.added}`,
+    `  removed=${stats.removed}`,
+    `  unchanged=${stats.unchanged}`,
+    `  errors=${stats.errors}`,
+    `  claimed_elsewhere=${stats.claimed_elsewhere}`,
+    `  status_mismatch=${stats.status_mismatch}`,
+    `  duration=${duration}s`,
+    '═══════════════════════════════════════════════════════════',
+    ''
+  ].join('\n'));
+
+  logger.info(`${status} reextract sessions_processed=${stats.sessions_processed} added=${stats.added} removed=${stats.removed} unchanged=${stats.unchanged}`);
+}
+
+/**
+ * Long-running live mode - items appear within seconds of the marker being printed
+ * Items are inserted without marking the session extracted; the batch run
+ * dedupes against them later
+ */
+async function startListener(options) {
+  // Fail fast on a broken allowlist / --slugs; checked again per batch so reloads apply
+  selectSlugs(options.slugs, await getProjects());
+
+  const handleItems = async (session, items) => {
+    // TRUTH GATE - same slug rule as selectSessions
+    const projects = await getProjects();
+    const validSlugs = selectSlugs(options.slugs, projects);
+    const slug = session.project_slug || '';
+    if (!validSlugs.some(s => slug.includes(s))) {
+      logger.debug('Ignoring live items for unlisted slug', { sessionId: session.id, slug });
+      return;
     }
+
+    const { valid: validated, invalid } = validateItems(items);
+    invalid.forEach(i => metrics.validationRejections.inc({ reason: reasonLabel(i.error) }));
+    const { items: valid } = applySettings(await linkResolutions(validated, session), session, projects);
+    valid.forEach(item => metrics.itemsExtracted.inc({ bucket: item.bucket }));
+    if (valid.length === 0) return;
+
+    if (options.dryRun) {
+      valid.forEach(item => console.log(`  [LIVE] ${session.id.substring(0, 8)} [${item.bucket}] ${item.title}`));
+      return;
+    }
+
+    const { inserted, duplicates, merged } = await insertStaging(valid, session.id, session.project_slug);
+    runtimeStatus.totalItemsExtracted += inserted;
+    metrics.itemsInserted.inc(inserted);
+    metrics.duplicates.inc({ kind: 'exact' }, duplicates);
+    metrics.duplicates.inc({ kind: 'near' }, merged);
+    if (inserted > 0) metrics.lastItem.set(Date.now() / 1000);
+    logger.info('Live items staged', { sessionId: session.id, inserted, duplicates, merged });
+  };
+
+  const client = new TerminalClient({ url: options.url });
+  const live = new LiveSessions({ onItems: handleItems });
+  listener = { client, live };
+
+  client.on('message', message => live.handleMessage(message));
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`Received ${signal} - stopping listener`);
+
+    client.stop();
+    await live.close();
+    await closePool();
+    if (healthServer) healthServer.close();
+    process.exit(0);
+  };
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  logger.info('Listening for live terminal output', { url: client.url, dryRun: !!options.dryRun });
+  client.start();
+}
+
+/**
+ * Long-running scheduled mode
+ * Keeps runtimeStatus across runs; stops gracefully on SIGTERM/SIGINT
+ */
+function startScheduler(options) {
+  runs = new RunManager({ runTask: runExtraction });
+  control.defaults = options;
+
+  scheduler = new Scheduler({
+    task: () => {
+      // A run started through the control API holds the single run slot
+      if (runs.isActive()) {
+        logger.warn('Skipping scheduled run - another run is active', { runId: runs.getActive().id });
+        return null;
+      }
+      return runs.start(options, 'scheduled').done;
+    },
+    intervalMs: options.cron ? null : requireDuration(options.interval, '--interval'),
+    cron: options.cron || null,
+    jitterMs: requireDuration(options.jitter, '--jitter', { allowZero: true })
   });
 
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`Received ${signal} - stopping scheduler`);
+
+    await scheduler.stop();
+    await runs.waitForActive();
+    await closePool();
+    if (healthServer) healthServer.close();
+    process.exit(0);
+  };
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  scheduler.start();
+}
+
 function updateRuntimeStatus(stats, startTime, dryRun, error) {
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
   runtimeStatus.lastRunAt = new Date().toISOString();
@@ -219,6 +1074,11 @@ function updateRuntimeStatus(stats, startTime, dryRun, error) {
     ...stats
   };
   runtimeStatus.lastError = error ? String(error.message || error) : null;
+
+  const status = error ? 'failed' : (stats.errors === 0 ? 'ok' : 'partial');
+  metrics.runs.inc({ status, dry_run: String(!!dryRun) });
+  metrics.runDuration.observe({ status }, (Date.now() - startTime) / 1000);
+  metrics.lastRun.set(Date.now() / 1000);
 }
 
 function printRunReport(stats, startTime, dryRun) {
@@ -236,8 +1096,15 @@ function printRunReport(stats, startTime, dryRun) {
     `  bugs=${stats.bugs}`,
     `  worklogs=${stats.worklogs}`,
     `  decisions=${stats.decisions}`,
+    `  knowledge=${stats.knowledge}`,
+    `  snippets=${stats.snippets}`,
+    `  resolved=${stats.resolved}`,
     `  duplicates=${stats.duplicates}`,
+    `  merged=${stats.merged}`,
     `  errors=${stats.errors}`,
+    `  quarantined=${stats.quarantined}`,
+    `  claimed_elsewhere=${stats.claimed_elsewhere}`,
+    `  status_mismatch=${stats.status_mismatch}`,
     `  duration=${duration}s`,
     '═══════════════════════════════════════════════════════════',
     ''
@@ -246,7 +1113,7 @@ function printRunReport(stats, startTime, dryRun) {
   console.log(report);
 
   // Also log structured version
-  logger.info(`${status} sessions_scanned=${stats.sessions_scanned} sessions_processed=${stats.sessions_processed} todos=${stats.todos} bugs=${stats.bugs} worklogs=${stats.worklogs} decisions=${stats.decisions} duplicates=${stats.duplicates}`);
+  logger.info(`${status} sessions_scanned=${stats.sessions_scanned} sessions_processed=${stats.sessions_processed} todos=${stats.todos} bugs=${stats.bugs} worklogs=${stats.worklogs} decisions=${stats.decisions} knowledge=${stats.knowledge} snippets=${stats.snippets} resolved=${stats.resolved} duplicates=${stats.duplicates} merged=${stats.merged}`);
 }
 
 program.parse();
@@ -0,0 +1,107 @@
+process.env.JASON_INSTANCE_ID = 'jason-test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PGlite } = require('@electric-sql/pglite');
+
+// In-process Postgres behind src/lib/pg, so the lease SQL runs as written
+const pglite = new PGlite();
+const run = (conn) => async (text, params) => {
+  const result = await conn.query(text, params);
+  return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+};
+const pgPath = require.resolve('../src/lib/pg');
+require.cache[pgPath] = {
+  id: pgPath,
+  filename: pgPath,
+  loaded: true,
+  exports: { query: run(pglite), withTransaction: fn => pglite.transaction(tx => fn({ query: run(tx) })) }
+};
+
+const { claimSession, releaseSession, withClaim, holdsClaim, ClaimLostError } = require('../src/extract/claims');
+const { markExtractedInTransaction } = require('../src/extract/markExtracted');
+const { withTransaction } = require('../src/lib/pg');
+
+test.before(() => pglite.exec(`
+  CREATE TABLE dev_ai_sessions (
+    id text PRIMARY KEY, project_slug text, status text,
+    created_at timestamptz DEFAULT now(), extracted_at timestamptz, extraction_metadata jsonb)
+`));
+
+async function addSession(id, { status = 'cleaned', claimedBy = null, leaseMs = 60000 } = {}) {
+  const metadata = claimedBy
+    ? { claim: { by: claimedBy, claimed_at: new Date().toISOString(), until: new Date(Date.now() + leaseMs).toISOString() } }
+    : null;
+  await pglite.query(
+    `INSERT INTO dev_ai_sessions (id, project_slug, status, extraction_metadata) VALUES ($1, 'ai-jen', $2, $3)`,
+    [id, status, metadata]
+  );
+}
+
+async function session(id) {
+  const { rows } = await pglite.query(`SELECT status, extraction_metadata AS metadata FROM dev_ai_sessions WHERE id = $1`, [id]);
+  return rows[0];
+}
+
+test('a claim is taken only on a free session in the expected status', async () => {
+  await addSession('free');
+  await addSession('held', { claimedBy: 'other-instance' });
+  await addSession('expired', { claimedBy: 'other-instance', leaseMs: -1000 });
+  await addSession('done', { status: 'extracted' });
+
+  assert.deepStrictEqual(await claimSession('free', 'cleaned'), { claimed: true });
+  assert.strictEqual((await session('free')).metadata.claim.by, 'jason-test');
+  assert.ok(holdsClaim('free'));
+
+  assert.deepStrictEqual(await claimSession('held', 'cleaned'), { claimed: false, reason: 'held', status: 'cleaned' });
+  assert.deepStrictEqual(await claimSession('expired', 'cleaned'), { claimed: true });
+  assert.deepStrictEqual(await claimSession('done', 'cleaned'), { claimed: false, reason: 'status', status: 'extracted' });
+  assert.deepStrictEqual(await claimSession('missing', 'cleaned'), { claimed: false, reason: 'status', status: null });
+
+  await releaseSession('free');
+  await releaseSession('expired');
+  assert.strictEqual(holdsClaim('free'), false);
+  assert.strictEqual((await session('free')).metadata.claim, undefined);
+});
+
+test('marking extracted after the lease was taken over throws ClaimLostError and rolls back', async () => {
+  await addSession('lost');
+  assert.deepStrictEqual(await claimSession('lost', 'cleaned'), { claimed: true });
+
+  // Our lease ran out and another instance took the session
+  await pglite.query(
+    `UPDATE dev_ai_sessions SET extraction_metadata = jsonb_set(extraction_metadata, '{claim,by}', '"other-instance"') WHERE id = 'lost'`
+  );
+
+  await assert.rejects(
+    withTransaction(client => markExtractedInTransaction(client, 'lost', { items_created: 1 })),
+    (err) => err instanceof ClaimLostError && err.sessionId === 'lost'
+  );
+  const { status, metadata } = await session('lost');
+  assert.strictEqual(status, 'cleaned');
+  assert.strictEqual(metadata.claim.by, 'other-instance');
+
+  // Releasing leaves the other instance's lease alone
+  await releaseSession('lost');
+  assert.strictEqual((await session('lost')).metadata.claim.by, 'other-instance');
+});
+
+test('withClaim marks the session extracted while holding the lease and drops it after', async () => {
+  await addSession('work');
+
+  const outcome = await withClaim('work', 'cleaned', () =>
+    withTransaction(client => markExtractedInTransaction(client, 'work', { items_created: 3 })));
+
+  assert.strictEqual(outcome.claimed, true);
+  assert.strictEqual(holdsClaim('work'), false);
+  const { status, metadata } = await session('work');
+  assert.strictEqual(status, 'extracted');
+  assert.strictEqual(metadata.claim, undefined);
+  assert.strictEqual(metadata.items_created, 3);
+
+  // The next run finds it no longer 'cleaned'
+  assert.deepStrictEqual(
+    await withClaim('work', 'cleaned', () => assert.fail('must not run')),
+    { claimed: false, reason: 'status', status: 'extracted' }
+  );
+});
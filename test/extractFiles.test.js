@@ -0,0 +1,92 @@
+process.env.JASON_EXTRACTOR = 'rules';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { extractFiles, expandFiles, parseJsonlTranscript, formatResults } = require('../src/extract/extractFiles');
+
+function transcriptDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-files-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'logs'));
+  fs.writeFileSync(path.join(dir, 'notes.txt'), [
+    'USER:',
+    'TODO: fix the login redirect loop',
+    'ASSISTANT:',
+    'BUG: cache double-counts hits'
+  ].join('\n'));
+  fs.writeFileSync(path.join(dir, 'logs', 'session.jsonl'), [
+    JSON.stringify({ type: 'user', sessionId: 'abc-123', cwd: '/home/dev/ai-jen', timestamp: '2026-10-01T10:00:00Z', message: { role: 'user', content: 'TODO: add a retry test' } }),
+    'not json',
+    JSON.stringify({ type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text: 'DECISION: use exponential backoff for retries' }] } })
+  ].join('\n'));
+  return dir;
+}
+
+function titles(result) {
+  return result.items.filter(i => i.bucket !== 'Work Log').map(i => `${i.bucket}: ${i.title}`);
+}
+
+test('globs match files in subdirectories', (t) => {
+  const dir = transcriptDir(t);
+
+  assert.deepStrictEqual(expandFiles([path.join(dir, '**/*.jsonl')]), [path.join(dir, 'logs', 'session.jsonl')]);
+  assert.strictEqual(expandFiles([path.join(dir, '**/*')]).length, 2);
+});
+
+test('jsonl logs become speaker lines with the session id, project and start time', () => {
+  const { content, meta } = parseJsonlTranscript([
+    JSON.stringify({ sessionId: 's-1', cwd: '/work/nextbid', timestamp: '2026-10-01T10:00:00Z', message: { role: 'user', content: 'run the tests' } }),
+    JSON.stringify({ message: { role: 'user', content: [{ type: 'tool_result', content: 'FAIL: 2 tests' }] } })
+  ].join('\n'));
+
+  assert.strictEqual(content, 'USER:\nrun the tests\nTOOL:\nFAIL: 2 tests');
+  assert.deepStrictEqual(meta, { sessionId: 's-1', cwd: '/work/nextbid', startedAt: '2026-10-01T10:00:00Z' });
+});
+
+test('extracts items from text and jsonl transcripts without a database', async (t) => {
+  const dir = transcriptDir(t);
+
+  const [jsonl, text] = await extractFiles([path.join(dir, '**/*')]);
+
+  assert.strictEqual(jsonl.error, null);
+  assert.deepStrictEqual(jsonl.session, { id: 'abc-123', project_slug: 'ai-jen', created_at: '2026-10-01T10:00:00Z' });
+  assert.deepStrictEqual(titles(jsonl), ['Todos: add a retry test', 'Decisions: use exponential backoff for retries']);
+
+  assert.strictEqual(text.session.id, 'notes');
+  assert.strictEqual(text.session.project_slug, 'local');
+  assert.deepStrictEqual(titles(text), ['Todos: fix the login redirect loop', 'Bugs Open: cache double-counts hits']);
+});
+
+test('a --project slug overrides the one from the log', async (t) => {
+  const dir = transcriptDir(t);
+
+  const [result] = await extractFiles([path.join(dir, 'logs', 'session.jsonl')], { project: 'ai-jason' });
+
+  assert.strictEqual(result.session.project_slug, 'ai-jason');
+});
+
+test('no matching files is an error', async (t) => {
+  const dir = transcriptDir(t);
+
+  await assert.rejects(extractFiles([path.join(dir, '*.md')]), /No files matched/);
+});
+
+test('results render as json, jsonl and markdown', async (t) => {
+  const dir = transcriptDir(t);
+  const results = await extractFiles([path.join(dir, 'notes.txt')]);
+
+  assert.deepStrictEqual(JSON.parse(formatResults(results, 'json')).map(r => r.file), [path.join(dir, 'notes.txt')]);
+
+  const lines = formatResults(results, 'jsonl').split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(lines.length, results[0].items.length);
+  assert.ok(lines.every(line => line.file === path.join(dir, 'notes.txt')));
+
+  const markdown = formatResults(results, 'md');
+  assert.match(markdown, /^## Todos \(1\)$/m);
+  assert.match(markdown, /^- \*\*fix the login redirect loop\*\* _\(L2\)_$/m);
+
+  assert.throws(() => formatResults(results, 'csv'), /Unknown format: csv/);
+});
@@ -0,0 +1,117 @@
+process.env.JASON_MAX_ATTEMPTS = '3';
+process.env.JASON_RETRY_BASE = '30m';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PGlite } = require('@electric-sql/pglite');
+
+// In-process Postgres behind src/lib/pg, so the failure SQL runs as written
+const pglite = new PGlite();
+const run = (conn) => async (text, params) => {
+  const result = await conn.query(text, params);
+  return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+};
+const pgPath = require.resolve('../src/lib/pg');
+require.cache[pgPath] = {
+  id: pgPath,
+  filename: pgPath,
+  loaded: true,
+  exports: { query: run(pglite), withTransaction: fn => pglite.transaction(tx => fn({ query: run(tx) })) }
+};
+
+const { recordFailure, retryFailures, clearFailures, QUARANTINED, RETRY_DUE_SQL } = require('../src/extract/failures');
+const { markExtractedInTransaction } = require('../src/extract/markExtracted');
+const { withTransaction } = require('../src/lib/pg');
+
+const MINUTE = 60 * 1000;
+
+test.before(() => pglite.exec(`
+  CREATE TABLE dev_ai_sessions (
+    id text PRIMARY KEY, project_slug text, status text,
+    created_at timestamptz DEFAULT now(), extracted_at timestamptz, extraction_metadata jsonb)
+`));
+
+async function addSession(id) {
+  await pglite.query(`INSERT INTO dev_ai_sessions (id, project_slug, status) VALUES ($1, 'ai-jen', 'cleaned')`, [id]);
+}
+
+async function session(id) {
+  const { rows } = await pglite.query(
+    `SELECT s.status, s.extraction_metadata AS metadata, ${RETRY_DUE_SQL} AS retry_due FROM dev_ai_sessions s WHERE s.id = $1`,
+    [id]
+  );
+  return rows[0];
+}
+
+function backoff(failure) {
+  return Date.parse(failure.next_retry_at) - Date.parse(failure.last_failed_at);
+}
+
+test('failures back off exponentially and quarantine the session after the last attempt', async () => {
+  await addSession('s1');
+
+  const first = await recordFailure('s1', 'LLM timeout');
+  assert.strictEqual(first.status, 'cleaned');
+  assert.strictEqual(first.failure.attempts, 1);
+  assert.strictEqual(backoff(first.failure), 30 * MINUTE);
+  assert.strictEqual((await session('s1')).retry_due, false);
+
+  const second = await recordFailure('s1', 'LLM timeout again');
+  assert.strictEqual(second.failure.attempts, 2);
+  assert.strictEqual(backoff(second.failure), 60 * MINUTE);
+  assert.strictEqual(second.failure.first_failed_at, first.failure.first_failed_at);
+  assert.strictEqual(second.failure.reason, 'LLM timeout again');
+
+  const third = await recordFailure('s1', 'still failing');
+  assert.strictEqual(third.status, QUARANTINED);
+  assert.deepStrictEqual(
+    { attempts: third.failure.attempts, quarantined: third.failure.quarantined, next: third.failure.next_retry_at, previous: third.failure.previous_status },
+    { attempts: 3, quarantined: true, next: null, previous: 'cleaned' }
+  );
+});
+
+test('retry releases a quarantined session with fresh attempts and keeps its history', async () => {
+  await addSession('s2');
+  for (let i = 0; i < 3; i++) await recordFailure('s2', 'boom');
+  const { metadata: before } = await session('s2');
+
+  assert.deepStrictEqual(await retryFailures({ ids: ['s2'], quarantinedOnly: true }), ['s2']);
+  const released = await session('s2');
+  assert.strictEqual(released.status, 'cleaned');
+  assert.strictEqual(released.retry_due, true);
+  assert.strictEqual(released.metadata.failure.attempts, 0);
+  assert.strictEqual(released.metadata.failure.quarantined, false);
+  assert.strictEqual(released.metadata.failure.first_failed_at, before.failure.first_failed_at);
+
+  // The next failure starts the backoff over
+  const again = await recordFailure('s2', 'boom');
+  assert.strictEqual(again.failure.attempts, 1);
+  assert.strictEqual(backoff(again.failure), 30 * MINUTE);
+
+  assert.deepStrictEqual(await clearFailures({ ids: ['s2'] }), ['s2']);
+  const cleared = await session('s2');
+  assert.strictEqual(cleared.status, 'cleaned');
+  assert.strictEqual(cleared.metadata.failure, undefined);
+  assert.strictEqual(cleared.metadata.failed, undefined);
+});
+
+test('a later successful extraction keeps the failure as history with no retry pending', async () => {
+  await addSession('s3');
+  await recordFailure('s3', 'parse error');
+
+  await withTransaction(client => markExtractedInTransaction(client, 's3', { items_created: 2 }));
+
+  const { status, metadata, retry_due } = await session('s3');
+  assert.strictEqual(status, 'extracted');
+  assert.strictEqual(retry_due, true);
+  assert.strictEqual(metadata.items_created, 2);
+  assert.strictEqual(metadata.failed, undefined);
+  assert.strictEqual(metadata.failure.reason, 'parse error');
+  assert.strictEqual(metadata.failure.attempts, 0);
+  assert.strictEqual(metadata.failure.next_retry_at, null);
+  assert.ok(metadata.failure.recovered_at);
+});
+
+test('recording a failure for an unknown session writes nothing', async () => {
+  assert.strictEqual(await recordFailure('missing', 'boom'), null);
+});
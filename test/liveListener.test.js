@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const { WebSocketServer } = require('ws');
+const { TerminalClient } = require('../src/lib/terminalClient');
+const { LiveSessions } = require('../src/extract/liveSessions');
+
+/**
+ * Mock terminal stream on an ephemeral port
+ * Records each connection's Authorization header and messages
+ */
+async function mockServer() {
+  const wss = new WebSocketServer({ port: 0 });
+  await once(wss, 'listening');
+  const connections = [];
+  wss.on('connection', (socket, request) => {
+    const connection = { socket, at: Date.now(), authorization: request.headers.authorization, messages: [] };
+    socket.on('message', data => connection.messages.push(JSON.parse(data.toString())));
+    connections.push(connection);
+    wss.emit('client', connection);
+  });
+  return { wss, connections, url: `ws://127.0.0.1:${wss.address().port}` };
+}
+
+function nextClient(server) {
+  return once(server.wss, 'client').then(([connection]) => connection);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('authenticates with a bearer header and an auth message', async (t) => {
+  const server = await mockServer();
+  const client = new TerminalClient({ url: server.url, token: 'secret' });
+  t.after(() => { client.stop(); server.wss.close(); });
+
+  const connecting = nextClient(server);
+  client.start();
+  const connection = await connecting;
+  await delay(50);
+
+  assert.strictEqual(connection.authorization, 'Bearer secret');
+  assert.deepStrictEqual(connection.messages[0], { type: 'auth', token: 'secret' });
+  assert.ok(client.isConnected());
+});
+
+test('buffers output per session and emits each item once after the quiet period', async (t) => {
+  const server = await mockServer();
+  const client = new TerminalClient({ url: server.url });
+  const batches = [];
+  const live = new LiveSessions({ onItems: async (session, items) => batches.push({ session, items }), flushMs: 50 });
+  client.on('message', message => live.handleMessage(message));
+  t.after(async () => { client.stop(); await live.close(); server.wss.close(); });
+
+  const connecting = nextClient(server);
+  client.start();
+  const { socket } = await connecting;
+  const send = message => socket.send(JSON.stringify(message));
+
+  send({ type: 'session_start', session_id: 'live-1', project_slug: 'ai-jen' });
+  // A marker split across frames is only read once the session goes quiet
+  send({ type: 'output', session_id: 'live-1', speaker: 'user', data: 'TOD' });
+  send({ type: 'output', session_id: 'live-1', data: 'O: fix the login redirect loop\n' });
+  send({ type: 'output', session_id: 'live-2', speaker: 'user', data: 'BUG: cache double-counts hits\n' });
+  await delay(20);
+  assert.strictEqual(batches.length, 0);
+
+  await delay(150);
+  const titles = batches.map(b => `${b.session.id} ${b.items.map(i => i.title).join(',')}`).sort();
+  assert.deepStrictEqual(titles, ['live-1 fix the login redirect loop', 'live-2 cache double-counts hits']);
+  assert.strictEqual(batches.find(b => b.session.id === 'live-1').session.project_slug, 'ai-jen');
+
+  // Already-emitted items are not emitted again; new ones are, and session_end flushes right away
+  send({ type: 'output', session_id: 'live-1', data: 'TODO: fix the login redirect loop\nTODO: add a retry test\n' });
+  send({ type: 'session_end', session_id: 'live-1' });
+  await delay(30);
+  assert.deepStrictEqual(batches.slice(2).map(b => b.items.map(i => i.title)), [['add a retry test']]);
+  assert.strictEqual(live.getStatus().sessions, 1);
+});
+
+test('reconnects with a growing backoff after the stream drops', async (t) => {
+  const server = await mockServer();
+  const client = new TerminalClient({ url: server.url, reconnectBaseMs: 100, reconnectMaxMs: 1000 });
+  t.after(() => { client.stop(); server.wss.close(); });
+
+  let connecting = nextClient(server);
+  client.start();
+  for (let i = 0; i < 3; i++) {
+    const opened = once(client, 'open');
+    const { socket } = await connecting;
+    await opened;
+    connecting = nextClient(server);
+    if (i < 2) socket.terminate();
+  }
+
+  const [first, second, third] = server.connections;
+  const firstGap = second.at - first.at;
+  const secondGap = third.at - second.at;
+  // 100ms then 200ms, each plus up to 20% jitter
+  assert.ok(firstGap >= 100, `first reconnect after ${firstGap}ms`);
+  assert.ok(secondGap >= 200 && secondGap > firstGap, `second reconnect after ${secondGap}ms`);
+  assert.strictEqual(client.getStatus().connects, 3);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { LlmBudget, costOf } = require('../src/lib/llmBudget');
+
+const LIMITS = { runTokens: 1000, dayTokens: 2500, runCost: 100, dayCost: 100 };
+
+function memoryBudget() {
+  return new LlmBudget({ limits: LIMITS, usageFile: null });
+}
+
+test('reservations count against the run window until recorded or released', async () => {
+  const budget = memoryBudget();
+
+  const first = await budget.reserve(300, 300);
+  assert.ok(first);
+  // 600 reserved + 600 more would pass 1000 - refused while the first is in flight
+  assert.strictEqual(await budget.reserve(300, 300), null);
+
+  await budget.record(first, 200, 100);
+  assert.deepStrictEqual(budget.getStatus().run, { tokens: 300, cost: Number(costOf(200, 100).toFixed(4)), reservedTokens: 0 });
+
+  const second = await budget.reserve(300, 300);
+  assert.ok(second);
+  await budget.release(second);
+  assert.strictEqual(budget.getStatus().run.reservedTokens, 0);
+  assert.strictEqual(budget.getStatus().day.tokens, 300);
+  assert.strictEqual(budget.getStatus().day.requests, 1);
+});
+
+test('parallel reservations cannot overshoot the window together', async () => {
+  const budget = memoryBudget();
+
+  const results = await Promise.all([1, 2, 3].map(() => budget.reserve(200, 200)));
+
+  assert.strictEqual(results.filter(Boolean).length, 2);
+  assert.strictEqual(budget.getStatus().run.reservedTokens, 800);
+});
+
+test('the day window carries across runs and resets on a new UTC day', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T23:50:00Z') });
+  const budget = memoryBudget();
+
+  for (let run = 0; run < 2; run++) {
+    budget.beginRun();
+    await budget.record(await budget.reserve(500, 500), 500, 500);
+  }
+  budget.beginRun();
+  // 2000 used today - another 1000 would pass the 2500 day limit
+  assert.strictEqual(await budget.reserve(500, 500), null);
+  const small = await budget.reserve(200, 200);
+  assert.ok(small);
+
+  t.mock.timers.setTime(Date.parse('2026-10-20T00:05:00Z'));
+  assert.deepStrictEqual(
+    { date: budget.getStatus().day.date, tokens: budget.getStatus().day.tokens },
+    { date: '2026-10-20', tokens: 0 }
+  );
+  // Usage of a request reserved yesterday lands in the new day
+  await budget.record(small, 200, 100);
+  assert.strictEqual(budget.getStatus().day.tokens, 300);
+  assert.ok(await budget.reserve(500, 100));
+});
+
+test('a run that began mid-request does not pay for it', async () => {
+  const budget = memoryBudget();
+
+  const reservation = await budget.reserve(400, 400);
+  budget.beginRun();
+  await budget.record(reservation, 400, 400);
+
+  assert.strictEqual(budget.getStatus().run.tokens, 0);
+  assert.strictEqual(budget.getStatus().day.tokens, 800);
+});
+
+test('usage that cannot be written is kept and written by the next update', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-budget-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const usageFile = path.join(dir, 'usage.json');
+  const budget = new LlmBudget({ limits: LIMITS, usageFile });
+
+  const reservation = await budget.reserve(100, 100);
+  assert.ok(reservation);
+
+  // Usage file becomes unwritable while the request is in flight
+  fs.rmSync(usageFile);
+  fs.mkdirSync(usageFile);
+  await budget.record(reservation, 150, 50);
+  assert.strictEqual(budget.getStatus().day.unrecorded, 1);
+  assert.strictEqual(await budget.reserve(100, 100), null);
+
+  fs.rmdirSync(usageFile);
+  const next = await budget.reserve(100, 100);
+  assert.ok(next);
+  const saved = JSON.parse(fs.readFileSync(usageFile, 'utf8'));
+  assert.strictEqual(saved.tokens, 200);
+  assert.strictEqual(saved.requests, 1);
+  assert.deepStrictEqual(Object.keys(saved.reservations), [next.id]);
+  assert.strictEqual(budget.getStatus().day.unrecorded, 0);
+});
+
+test('processes sharing a usage file share the day budget', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-budget-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const usageFile = path.join(dir, 'usage.json');
+  const a = new LlmBudget({ limits: { ...LIMITS, runTokens: 5000 }, usageFile });
+  const b = new LlmBudget({ limits: { ...LIMITS, runTokens: 5000 }, usageFile });
+
+  await a.record(await a.reserve(1000, 500), 1000, 500);
+  const held = await b.reserve(500, 300);
+  assert.ok(held);
+  // 1500 used + 800 held by b: a can't take 300 more
+  assert.strictEqual(await a.reserve(200, 100), null);
+  await b.release(held);
+  assert.ok(await a.reserve(200, 100));
+});
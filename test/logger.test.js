@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const path = require('node:path');
+const { Logger, withLogBuffer } = require('../src/lib/logger');
+
+const logger = new Logger('Jason:Test');
+
+function captureConsole(t) {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(line.replace(/\x1b\[\d+m/g, '').replace(/^\[[^\]]+\] /, '')));
+  return lines;
+}
+
+test('buffered lines are written together when the work finishes', async (t) => {
+  const lines = captureConsole(t);
+
+  await Promise.all(['a', 'b'].map(name => withLogBuffer(async () => {
+    logger.info(`${name} start`);
+    await new Promise(resolve => setTimeout(resolve, name === 'a' ? 20 : 5));
+    logger.info(`${name} end`);
+  })));
+
+  assert.deepStrictEqual(lines, [
+    '[INFO] [Jason:Test] b start',
+    '[INFO] [Jason:Test] b end',
+    '[INFO] [Jason:Test] a start',
+    '[INFO] [Jason:Test] a end'
+  ]);
+});
+
+test('buffered lines are written when the work throws', async (t) => {
+  const lines = captureConsole(t);
+
+  await assert.rejects(withLogBuffer(async () => {
+    logger.warn('before the crash');
+    throw new Error('boom');
+  }), /boom/);
+
+  assert.deepStrictEqual(lines, ['[WARN] [Jason:Test] before the crash']);
+});
+
+test('buffered lines are written if the process exits mid-work', () => {
+  const script = `
+    const { Logger, withLogBuffer } = require(${JSON.stringify(path.join(__dirname, '../src/lib/logger'))});
+    withLogBuffer(async () => {
+      new Logger('Jason:Test').info('still buffered');
+      process.exit(3);
+    });
+  `;
+
+  let output;
+  try {
+    execFileSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+  } catch (err) {
+    assert.strictEqual(err.status, 3);
+    output = err.stdout;
+  }
+  assert.match(output, /\[INFO\] \[Jason:Test\] still buffered/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findNearDuplicate, itemFingerprint } = require('../src/extract/insertStaging');
+const { readThreshold } = require('../src/lib/textSimilarity');
+
+function todo(title) {
+  return { bucket: 'Todos', title, content: title };
+}
+
+function candidate(title) {
+  return { id: title, fingerprint: itemFingerprint(todo(title)) };
+}
+
+test('a reworded short todo is a near-duplicate', () => {
+  const candidates = [candidate('fix login redirect loop')];
+
+  assert.ok(findNearDuplicate(candidates, itemFingerprint(todo('fix login redirect bug'))));
+  assert.ok(findNearDuplicate(candidates, itemFingerprint(todo('Fix the login redirect looping'))));
+});
+
+test('a different todo on the same subject is not merged', () => {
+  const candidates = [candidate('payments webhook drops events'), candidate('add tests for login')];
+
+  assert.strictEqual(findNearDuplicate(candidates, itemFingerprint(todo('payments webhook retries events'))), null);
+  assert.strictEqual(findNearDuplicate(candidates, itemFingerprint(todo('add tests for signup'))), null);
+});
+
+test('the closest candidate wins', () => {
+  const candidates = [candidate('update readme deploy steps'), candidate('update readme install steps')];
+  const near = findNearDuplicate(candidates, itemFingerprint(todo('update the readme install steps')));
+
+  assert.strictEqual(near.candidate.id, 'update readme install steps');
+});
+
+test('thresholds accept 0..1 from the env and fall back otherwise', () => {
+  const warnings = [];
+  const logger = { warn: (message) => warnings.push(message), info: () => {} };
+  const read = (raw) => {
+    process.env.JASON_TEST_THRESHOLD = raw;
+    return readThreshold('JASON_TEST_THRESHOLD', 0.7, logger);
+  };
+
+  assert.strictEqual(read('0'), 0);
+  assert.strictEqual(read('0.85'), 0.85);
+  assert.strictEqual(read(''), 0.7);
+  assert.strictEqual(warnings.length, 0);
+
+  assert.strictEqual(read('1.5'), 0.7);
+  assert.strictEqual(read('-0.1'), 0.7);
+  assert.strictEqual(read('high'), 0.7);
+  assert.strictEqual(warnings.length, 3);
+
+  delete process.env.JASON_TEST_THRESHOLD;
+});
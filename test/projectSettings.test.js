@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyProjectSettings, DEFAULT_SETTINGS } = require('../src/extract/projects');
+
+function project(settings) {
+  return { slug: 'jason', ...DEFAULT_SETTINGS, ...settings };
+}
+
+function item(title, priority) {
+  return { bucket: 'Todos', title, content: title, priority };
+}
+
+test('maxItems keeps the highest-priority items in their original order', () => {
+  const items = [item('a', 'low'), item('b', 'critical'), item('c', 'medium'), item('d', 'high')];
+
+  const { items: kept, dropped } = applyProjectSettings(items, project({ maxItems: 2 }));
+
+  assert.deepStrictEqual(kept.map(i => i.title), ['b', 'd']);
+  assert.deepStrictEqual(dropped, { bucket: 0, cap: 2 });
+});
+
+test('maxItems keeps earlier items among equal priorities', () => {
+  const items = [item('a', 'high'), item('b', 'medium'), item('c', 'high'), item('d', 'high')];
+
+  const { items: kept } = applyProjectSettings(items, project({ maxItems: 2 }));
+
+  assert.deepStrictEqual(kept.map(i => i.title), ['a', 'c']);
+});
+
+test('items without a priority are ranked at the project default', () => {
+  const items = [item('a'), item('b', 'low'), item('c', 'high')];
+
+  const { items: kept } = applyProjectSettings(items, project({ maxItems: 2, priority: 'medium' }));
+
+  assert.deepStrictEqual(kept.map(i => [i.title, i.priority]), [['a', 'medium'], ['c', 'high']]);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findResolvedItem } = require('../src/extract/resolveItems');
+
+function resolution(ref) {
+  return { buckets: ['Todos'], ref, requireMatch: false };
+}
+
+test('a ref matches numeric and bigint row ids', () => {
+  const item = { bucket: 'Todos', title: 'unrelated wording' };
+  const candidates = [
+    { id: 4821, hash: 'aaaa', bucket: 'Todos', title: 'first' },
+    { id: 90817263n, hash: 'bbbb', bucket: 'Todos', title: 'second' }
+  ];
+
+  assert.strictEqual(findResolvedItem(item, resolution('482100'), candidates, new Set()), null);
+  assert.strictEqual(findResolvedItem(item, resolution('908172'), candidates, new Set()).candidate.title, 'second');
+});
+
+test('a ref matches a uuid prefix case-insensitively', () => {
+  const item = { bucket: 'Todos', title: 'unrelated wording' };
+  const candidates = [{ id: '3F2A9C1E-0000-4000-8000-000000000000', hash: 'cccc', bucket: 'Todos', title: 'login crash' }];
+
+  const match = findResolvedItem(item, resolution('3f2a9c1e'), candidates, new Set());
+  assert.strictEqual(match.method, 'reference');
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const PROJECTS = [
+  { id: 'p-dashboard', slug: 'kodiack-dashboard', name: 'Dashboard' },
+  { id: 'p-studio', slug: 'kodiack-studio', name: 'Studio' },
+  { id: 'p-jen', slug: 'ai-jen', name: 'Jen' },
+  { id: 'p-nextbid', slug: 'nextbid-portal', name: 'NextBid' }
+];
+
+// Project list from a stand-in for the shared query-builder client
+const dbPath = require.resolve('../src/lib/db');
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: { from: () => ({ select: async () => ({ data: PROJECTS, error: null }) }) }
+};
+
+const aliasDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jason-aliases-'));
+process.env.JASON_SLUG_ALIASES_FILE = path.join(aliasDir, 'slug-aliases.yaml');
+fs.writeFileSync(process.env.JASON_SLUG_ALIASES_FILE, [
+  'aliases:',
+  '  kodiack: kodiack-studio',
+  '  jen: nextbid-portal',
+  '  old-dashboard: kodiack-retired'
+].join('\n'));
+
+const { explainSlug, resolveProjectId, parseAliases } = require('../src/lib/resolveProject');
+
+test.after(() => fs.rmSync(aliasDir, { recursive: true, force: true }));
+
+test('exact and unique partial matches resolve', async () => {
+  assert.deepStrictEqual(
+    [await explainSlug('ai-jen'), await explainSlug('nextbid'), await explainSlug('dashboard')].map(r => [r.method, r.projectId]),
+    [['exact', 'p-jen'], ['prefix', 'p-nextbid'], ['contains', 'p-dashboard']]
+  );
+});
+
+test('a partial match on several projects is refused as ambiguous', async () => {
+  const resolution = await explainSlug('kodiack-');
+
+  assert.strictEqual(resolution.method, 'ambiguous');
+  assert.deepStrictEqual(resolution.candidates, ['kodiack-dashboard', 'kodiack-studio']);
+  assert.strictEqual(await resolveProjectId('kodiack-'), null);
+});
+
+test('an alias wins over exact and partial matching', async () => {
+  // "kodiack" alone would be ambiguous, "jen" would partially match ai-jen
+  assert.strictEqual(await resolveProjectId('kodiack'), 'p-studio');
+  const resolution = await explainSlug('jen');
+  assert.deepStrictEqual([resolution.method, resolution.alias, resolution.projectId], ['alias', 'nextbid-portal', 'p-nextbid']);
+});
+
+test('an alias to an unknown project resolves to nothing instead of falling through', async () => {
+  const resolution = await explainSlug('old-dashboard');
+
+  assert.deepStrictEqual([resolution.method, resolution.alias, resolution.projectId], ['alias', 'kodiack-retired', null]);
+  assert.strictEqual(await resolveProjectId('old-dashboard'), null);
+});
+
+test('ignored slugs never resolve', async () => {
+  assert.strictEqual((await explainSlug('terminal')).method, 'ignored');
+  assert.strictEqual((await explainSlug('')).method, 'ignored');
+});
+
+test('alias documents are validated', () => {
+  assert.deepStrictEqual(parseAliases({ aliases: { a: 'b' } }), { a: 'b' });
+  assert.throws(() => parseAliases({ aliases: { a: '' } }), /Invalid slug aliases/);
+  assert.throws(() => parseAliases({ a: 'b' }), /Invalid slug aliases/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { runPool } = require('../src/lib/workerPool');
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('never runs more than concurrency tasks, or perKeyLimit per key', async () => {
+  const items = ['a', 'a', 'a', 'b', 'b', 'c'];
+  let running = 0;
+  let peak = 0;
+  const perKey = {};
+  let peakPerKey = 0;
+
+  const { results, errors, started } = await runPool(items, async (key, index) => {
+    running++;
+    perKey[key] = (perKey[key] || 0) + 1;
+    peak = Math.max(peak, running);
+    peakPerKey = Math.max(peakPerKey, perKey[key]);
+    await delay(10);
+    running--;
+    perKey[key]--;
+    return index;
+  }, { concurrency: 3, keyOf: key => key, perKeyLimit: 2 });
+
+  assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(started, 6);
+  assert.strictEqual(peak, 3);
+  assert.strictEqual(peakPerKey, 2);
+});
+
+test('a failing task frees its slot and the pool settles after the rest', async () => {
+  const done = [];
+
+  const { results, errors } = await runPool([1, 2, 3, 4], async (n) => {
+    await delay(n === 1 ? 1 : 10);
+    if (n === 1) throw new Error('boom');
+    return n * 10;
+  }, {
+    concurrency: 1,
+    onDone: (n, index) => done.push(index)
+  });
+
+  assert.deepStrictEqual(results, [undefined, 20, 30, 40]);
+  assert.deepStrictEqual(done, [1, 2, 3]);
+  assert.deepStrictEqual(errors.map(({ index, error }) => [index, error.message]), [[0, 'boom']]);
+});
+
+test('an onDone that throws is collected like a worker error', async () => {
+  const { results, errors } = await runPool(['x', 'y'], async item => item, {
+    concurrency: 2,
+    onDone: (item) => { if (item === 'x') throw new Error('bad callback'); }
+  });
+
+  assert.deepStrictEqual(results, [undefined, 'y']);
+  assert.deepStrictEqual(errors.map(({ index, error }) => [index, error.message]), [[0, 'bad callback']]);
+});
+
+test('stops starting tasks once the signal aborts', async () => {
+  const controller = new AbortController();
+
+  const { results, started, aborted } = await runPool([1, 2, 3, 4], async (n) => {
+    if (n === 2) controller.abort();
+    await delay(5);
+    return n;
+  }, { concurrency: 1, signal: controller.signal });
+
+  assert.deepStrictEqual(Array.from(results), [1, 2, undefined, undefined]);
+  assert.strictEqual(started, 2);
+  assert.strictEqual(aborted, true);
+});